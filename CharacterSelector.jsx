@@ -1,21 +1,123 @@
-import React, { useState, useRef, useEffect } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useMemo,
+  useCallback,
+  forwardRef,
+  useImperativeHandle,
+  memo,
+} from "react";
+import { motion, AnimatePresence, MotionConfig, animate, useReducedMotionConfig } from "framer-motion";
 /*
 CharacterSelector.jsx
 Single-file React component for a responsive, interactive character selection UI.
 Tailwind CSS classes are used for styling. Requires Tailwind + Framer Motion in the host project.
 
 Features implemented:
-- Character grid / horizontal carousel (responsive)
+- Character grid / horizontal carousel (responsive, windowed so large rosters stay smooth)
 - Hover/tap brief details
-- Preview panel with rotate/zoom (CSS 3D), pose change, equipment highlighting
-- Filters and sorting
+- Preview panel with pluggable renderers (multi-angle turntable, canvas, CSS 3D card fallback),
+  drag-to-rotate with inertia and snapping, zoom, reset and auto-rotate; pose and skin change,
+  equipment highlighting. On touch: pinch to zoom, two-finger twist to rotate, double-tap to reset
+- Lazy-loaded character art per skin/pose (images or sprite-sheet frames) with placeholders
+- Fuzzy search, multi-select facets with counts derived from the roster, and sorting;
+  filter/sort state is mirrored to the URL query string unless `syncFiltersToUrl` is false
+- Sorting by popularity, power, name, release date (`releaseDate`), rarity tier or any stat,
+  ascending/descending with a tie-break key; register more via `sortDefinitions`
+  ({ winRate: { label: "Win rate", compare: (a, b) => a.winRate - b.winRate, dir: "desc" } })
 - Detailed stats & abilities panel with animated icons
 - Selection with confirmation animation and glowing outline
-- Drag-and-drop into team slots
-- Keyboard shortcuts (arrows to navigate, Enter to select, Esc to clear)
-- Mobile-friendly interactions (swipe carousel, tap to preview)
-- Optional sound effects via WebAudio (no external files)
+- Drag-and-drop into team slots, with team rules, slot swapping and a synergy summary
+- Keyboard shortcuts scoped to the component (arrows/Home/End to navigate, Enter to select, Esc to clear,
+  1–9 to put the focused character in a team slot, C to pin for compare, Shift+C to compare);
+  remap or disable them with `keyBindings` (see DEFAULT_KEY_BINDINGS, `false` turns them off)
+- Roving-tabindex character grid with ARIA grid semantics and live-region announcements
+- Side-by-side compare of two or more pinned characters with stat deltas
+- Mobile-friendly interactions: snap-to-card swipe carousel that previews the centred card,
+  tap to preview, long-press a card to pick a team slot for it (HTML5 drag-and-drop is mouse-only)
+- Sound effects through one shared, lazily started WebAudio engine with mute and master volume
+  (remembered in localStorage); events are throttled so quick hovering doesn't stack sounds
+- Dark and light themes built on CSS-variable tokens, rarity-coloured card borders and glows,
+  and toned-down animation under prefers-reduced-motion
+- Data-driven roster: pass `characters`, or a `loader` (JSON URL or async function)
+- Localized UI and character text through a message catalog, locale-aware sorting and RTL layout
+
+Roster entries are validated with `validateCharacter` (see CHARACTER_SCHEMA below).
+Entries missing required fields are skipped and reported via `onRosterIssues`
+and an inline notice; optional fields fall back to defaults. Per-character visuals
+come from the data: `colors: [primary, secondary]`, `portrait` (card image URL)
+and `art` (preview image URL). Without any roster prop SAMPLE_CHARACTERS is shown.
+A loader function runs once (again on Retry); a URL loader refetches when the URL changes.
+
+Preview art per skin and pose comes from `assets: { [skin]: { [pose]: asset, default?: asset } }`,
+or from a `resolveAsset(character, skin, pose)` prop, falling back to `art`. An asset is an image
+URL or a sprite-sheet frame { src, frameWidth, frameHeight, columns, rows, frame }. Assets load
+lazily behind the placeholder art; the other poses of the shown skin are prefetched.
+
+Preview renderers are objects { id, label, supports(context), snapStep?(context), Component };
+`renderers` lists them in priority order and the first that supports the character is used
+(default: [turntableRenderer, cssCardRenderer]; canvasRenderer is opt-in). Component receives
+the context { character, skin, pose, asset, resolveAsset } plus { rotation, zoom, dragging,
+autoRotate }. The turntable reads multi-angle frames from `turntable: { [skin]: frames }`
+(or resolveAsset(character, skin, "turntable")), where frames is an array of image URLs or a
+sprite sheet { src, frameWidth, frameHeight, columns, rows, frames }.
+
+Selection state can be controlled or left to the component:
+- `selectedId` / `defaultSelectedId`, `onSelect(id, character, { skin })`;
+  `onConfirm(character, { skin, pose })` on Select/Enter
+- `team` / `defaultTeam` (array of { id, skin, loadout } or null; plain ids are accepted), `onTeamChange(team, characters)`
+- `preview` / `defaultPreview` (character id), `onPreviewChange(id, character)`
+Team building follows `teamRules` ({ size, allowDuplicates, allowLocked, roles: { [class]: { min, max } } })
+and team bonuses come from `synergies` data (see SAMPLE_SYNERGIES); rejected placements call
+`onTeamReject(reason, character, slotIndex)`.
+Equipment comes from `equipment` ({ slots: { [class | "default"]: [slot] }, items: [{ id, name, slot,
+classes?, modifiers?: { [stat]: flat }, percent?: { [stat]: fraction }, power? }] }, see SAMPLE_EQUIPMENT).
+The preview's loadout picker equips items (highlighting the slot on the preview); each team slot keeps
+its own `loadout: { [slot]: itemId }`, and the team summary and compare view use the equipped stats.
+Named team presets are kept in `presetStorage` (default: createLocalStorageAdapter()); any object
+with `load()` and `save(presets)` (sync or async) works. Teams export as share codes
+(encodeTeamCode / decodeTeamCode) or a `#team=<code>` URL fragment, which is imported on mount
+unless `importTeamFromUrl` is false.
+A ref exposes `select(id)`, `confirm(id)`, `clear()`, `focusCharacter(id)`, `setSkin(id, skin)` and `setTeam(team)`.
+
+Characters with `unlocked: false` are greyed out and cannot be confirmed or put in a team.
+Their `unlock: { cost: { amount, currency }, level, quest }` requirements are listed on the
+card and in the preview. With `onUnlockRequest(character, unlock)` an Unlock button opens a
+confirm dialog; when the host approves (returns or resolves to true) the character is shown
+as unlocked from then on and `onUnlock(id, character)` is called. That state lasts for the
+session only, so hosts persist it and pass the character back with `unlocked: true`.
+
+Theming: `theme` is "dark" (default), "light", "system" (follows prefers-color-scheme) or an object
+{ base?: "dark" | "light", colors?, rarity?, element? } merged over that preset (see darkTheme).
+Tokens become CSS variables on the root (--cs-surface, --cs-accent, --cs-rarity-legendary,
+--cs-element-void, ...); cards get rarity-coloured borders and glows. Animations follow
+`reducedMotion` ("user" respects prefers-reduced-motion, or "always" / "never").
+
+Draft mode: pass `draft: { transport, localSide }` to run pick/ban turns between two sides
+(createDraftState({ phases, sides, turnSeconds }), DEFAULT_DRAFT_PHASES). Select/Enter bans or
+picks for the side on turn; a turn that runs out of time auto-picks the most popular available
+character (or skips the ban). Banned and picked characters are disabled in the grid (also once
+the draft is over) and each side's picks fill its own slots; with `localSide` ("blue" | "red")
+that side's picks also become `team` and manual team edits, preset loads and imports are refused;
+without it both sides play from this screen (hot-seat). Transports: createLocalDraftTransport
+(in-memory, hot-seat and tests) and createWebSocketDraftTransport(url) (server-owned state; the
+draft panel says when the connection is lost and moves are refused from then on).
+
+Localization: `locale` (BCP 47, default "en") picks the strings from `messages`, a catalog per
+locale ({ de: { "filters.title": "Filter", ... } }, keys as in DEFAULT_MESSAGES). Lookups fall back
+from "pt-BR" to "pt" and then to English; a message is a string with {placeholders} or a function
+of the params (for plurals). Character `name`, ability `name`/`desc`/`cooldown` and unlock `quest`
+may be per-locale objects ({ en: "Void Lance", de: "Leerenlanze" }). `class`, `rarity`, `element`,
+`faction` and skins stay plain values (used for filtering, team rules and share codes); their labels
+come from catalog keys like "class.Mage" or "rarity.Legendary", falling back to the value. Name
+sorting and facet order use the locale's collation; Arabic, Hebrew, Persian and Urdu locales lay out
+right-to-left (override with `dir`).
+
+Sounds are named events (hover, select, confirm, team-drop, locked-denied, reject; see DEFAULT_SOUNDS).
+`sounds` overrides them per event with a synth tone { notes, duration, wave, gain }, an audio
+URL, an AudioBuffer/ArrayBuffer, { src | buffer, gain }, or false for silence; any of them may
+set `throttle` (ms). All selectors share one engine unless `audioEngine` (createAudioEngine) is given.
 
 Note: Replace inline SVG placeholders and sample data with real images/models as needed.
 */
@@ -31,7 +133,9 @@ const SAMPLE_CHARACTERS = [
     unlocked: true,
     popularity: 98,
     power: 950,
+    releaseDate: "2024-03-14",
     image: "#aether", // placeholder id for SVG
+    colors: ["#7C3AED", "#06B6D4"],
     poses: ["pose1", "pose2", "pose3"],
     stats: { hp: 4200, atk: 320, def: 180, spd: 110, skill: 430 },
     abilities: [
@@ -50,7 +154,9 @@ const SAMPLE_CHARACTERS = [
     unlocked: true,
     popularity: 87,
     power: 810,
+    releaseDate: "2023-11-02",
     image: "#talon",
+    colors: ["#EF4444", "#F97316"],
     poses: ["pose1", "pose2"],
     stats: { hp: 2800, atk: 540, def: 120, spd: 160, skill: 260 },
     abilities: [
@@ -67,9 +173,12 @@ const SAMPLE_CHARACTERS = [
     element: "Earth",
     faction: "Wardens",
     unlocked: false,
+    unlock: { cost: { amount: 1200, currency: "Gems" }, level: 15, quest: "The Rooted Oath" },
     popularity: 66,
     power: 620,
+    releaseDate: "2024-08-21",
     image: "#gaia",
+    colors: ["#16A34A", "#F59E0B"],
     poses: ["pose1"],
     stats: { hp: 7200, atk: 160, def: 420, spd: 70, skill: 190 },
     abilities: [
@@ -80,415 +189,4239 @@ const SAMPLE_CHARACTERS = [
   // add more sample characters as needed
 ];
 
-export default function CharacterSelector() {
-  const [characters, setCharacters] = useState(SAMPLE_CHARACTERS);
-  const [selectedId, setSelectedId] = useState(null);
-  const [previewChar, setPreviewChar] = useState(characters[0]);
-  const [poseIndex, setPoseIndex] = useState(0);
-  const [zoom, setZoom] = useState(1);
-  const [rotation, setRotation] = useState(0);
-  const [filters, setFilters] = useState({ class: "All", rarity: "All", unlocked: "All" });
-  const [sortBy, setSortBy] = useState("popularity");
-  const [teamSlots, setTeamSlots] = useState([null, null, null]);
-  const carouselRef = useRef(null);
-  const previewRef = useRef(null);
+// Team bonuses: active when at least `min` members have a matching faction/element.
+// `bonus` is a fractional increase per stat applied to the team totals.
+const SAMPLE_SYNERGIES = [
+  { id: "eclipse-pact", name: "Eclipse Pact", type: "faction", value: "Eclipse", min: 2, bonus: { skill: 0.1 } },
+  { id: "tempest", name: "Tempest", type: "element", value: ["Wind", "Void"], min: 2, bonus: { spd: 0.08, atk: 0.05 } },
+  { id: "bulwark", name: "Bulwark", type: "element", value: "Earth", min: 1, bonus: { def: 0.05 } },
+];
 
-  useEffect(() => {
-    const handleKey = (e) => {
-      if (e.key === "ArrowRight") navigateCarousel(1);
-      if (e.key === "ArrowLeft") navigateCarousel(-1);
-      if (e.key === "Enter") confirmSelect(previewChar.id);
-      if (e.key === "Escape") clearSelection();
-    };
-    window.addEventListener("keydown", handleKey);
-    return () => window.removeEventListener("keydown", handleKey);
-  }, [previewChar]);
+const DEFAULT_TEAM_RULES = { size: 3, allowDuplicates: false, allowLocked: false, roles: {} };
 
-  function navigateCarousel(dir = 1) {
-    const idx = characters.findIndex((c) => c.id === previewChar.id);
-    if (idx === -1) return;
-    const next = characters[(idx + dir + characters.length) % characters.length];
-    setPreviewChar(next);
-    setPoseIndex(0);
-    scrollToCharacter(next.id);
-  }
+// Action -> keys (KeyboardEvent.key). For `assignSlot` the n-th key targets team slot n.
+const DEFAULT_KEY_BINDINGS = {
+  next: ["ArrowRight"],
+  prev: ["ArrowLeft"],
+  down: ["ArrowDown"],
+  up: ["ArrowUp"],
+  first: ["Home"],
+  last: ["End"],
+  confirm: ["Enter"],
+  clear: ["Escape"],
+  pinCompare: ["c"],
+  openCompare: ["C"],
+  assignSlot: ["1", "2", "3", "4", "5", "6", "7", "8", "9"],
+};
 
-  function scrollToCharacter(id) {
-    const el = document.getElementById(`card-${id}`);
-    if (el && carouselRef.current) {
-      el.scrollIntoView({ behavior: "smooth", inline: "center", block: "nearest" });
-    }
+const RARITY_ORDER = ["Common", "Rare", "Epic", "Legendary"];
+
+// Multi-select facets; options and counts come from the loaded roster. Labels are
+// the "facet.<key>" messages, option labels "<key>.<value>".
+const FACETS = [{ key: "class" }, { key: "rarity" }, { key: "element" }, { key: "faction" }];
+
+const EMPTY_FILTERS = { query: "", class: [], rarity: [], element: [], faction: [], status: "all" };
+
+const byNumber = (get) => (a, b) => get(a) - get(b);
+
+// Sort keys. `compare(a, b, compareText)` orders ascending (`compareText` collates strings
+// for the active locale), `dir` is the default direction and entries for which `missing`
+// returns true always go last. Built-in labels are the "sort.<key>" messages.
+const BUILTIN_SORTS = {
+  popularity: { compare: byNumber((c) => c.popularity), dir: "desc" },
+  power: { compare: byNumber((c) => c.power), dir: "desc" },
+  alphabetical: { compare: (a, b, compareText) => compareText(a.name, b.name), dir: "asc" },
+  newest: {
+    compare: byNumber((c) => Date.parse(c.releaseDate)),
+    dir: "desc",
+    missing: (c) => !c.releaseDate,
+  },
+  rarity: {
+    compare: byNumber((c) => RARITY_ORDER.indexOf(c.rarity)),
+    dir: "desc",
+    missing: (c) => !RARITY_ORDER.includes(c.rarity),
+  },
+};
+
+// Card layout: Tailwind `gap-3` between cards, estimated card sizes until measured,
+// extra rows/columns rendered outside the viewport, hover delay before previewing.
+const CARD_GAP = 12;
+const CARD_ESTIMATE = { width: 212, height: 300 };
+const WINDOW_OVERSCAN = 2;
+const HOVER_INTENT_MS = 90;
+
+const STAT_KEYS = ["hp", "atk", "def", "spd", "skill"];
+const DEFAULT_COLORS = ["#60A5FA", "#A78BFA"];
+
+// English UI strings, the fallback for every locale. Placeholders are {name}; function
+// messages get the params object and return the text.
+export const DEFAULT_MESSAGES = {
+  "filters.title": "Filters",
+  "filters.clear": "Clear",
+  "filters.search": "Search characters",
+  "filters.searchPlaceholder": "Search names and abilities",
+  "facet.class": "Class",
+  "facet.rarity": "Rarity",
+  "facet.element": "Element",
+  "facet.faction": "Faction",
+  "status.all": "All",
+  "status.unlocked": "Unlocked",
+  "status.locked": "Locked",
+  "sort.by": "Sort by",
+  "sort.option": "Sort: {label}",
+  "sort.then": "Then by",
+  "sort.thenOption": "Then by: {label}",
+  "sort.thenNone": "Then by: —",
+  "sort.asc": "Ascending",
+  "sort.desc": "Descending",
+  "sort.toggleAsc": "Ascending, switch to descending",
+  "sort.toggleDesc": "Descending, switch to ascending",
+  "sort.popularity": "Popularity",
+  "sort.power": "Power",
+  "sort.alphabetical": "Name",
+  "sort.newest": "Newest",
+  "sort.rarity": "Rarity",
+  "stat.hp": "HP",
+  "stat.atk": "ATK",
+  "stat.def": "DEF",
+  "stat.spd": "SPD",
+  "stat.skill": "SKILL",
+  "stat.radar": "Stat radar chart",
+  "stat.base": "Base {value}",
+  "field.class": "Class",
+  "field.element": "Element",
+  "field.faction": "Faction",
+  "field.power": "Power",
+  "field.popularity": "Popularity",
+  "field.base": "base {value}",
+  "modifier.flat": "{sign}{value} {stat}",
+  "modifier.percent": "{sign}{value}% {stat}",
+  "team.title": "Team Slots",
+  "team.slot": "Team slot {slot}: {name}",
+  "team.slotEmpty": "empty",
+  "team.drop": "Drop\nCharacter",
+  "team.editLoadout": "Edit loadout for slot {slot}",
+  "team.items": ({ count }) => (count === 1 ? "1 item" : `${count || "No"} items`),
+  "team.remove": "Remove {name} from slot {slot}",
+  "team.totalPower": "Total power",
+  "team.synergy": "✦ {name}: {bonus}",
+  "team.presetName": "Preset name",
+  "team.save": "Save",
+  "team.share": "Share",
+  "team.load": "Load",
+  "team.deletePreset": "Delete preset {name}",
+  "team.shareLink": "Share link",
+  "team.importPlaceholder": "Paste team code or link",
+  "team.import": "Import",
+  "team.presetsUnavailable": "Presets unavailable: {message}",
+  "team.tip":
+    "Tip: drag a character card into a team slot, or drag between slots to swap. Use keyboard ← → to browse, Enter to select, 1–{size} to add to a slot, C to pin for compare.",
+  "team.locked": "{name} is locked",
+  "team.duplicate": "{name} is already in the team",
+  "team.roleMax": "Team allows at most {max} {role}",
+  "team.roleMin": "Needs at least {min} {role}",
+  "team.notInRoster": "{id} is not in the roster",
+  "team.noSkin": "{name} has no {skin} skin",
+  "team.cannotEquip": "{name} cannot equip {item}",
+  "team.extraSlots": "{count} extra slot(s) ignored",
+  "team.imported": "Imported with changes: {changes}",
+  "team.invalidCode": "Not a valid team code",
+  "team.draftOnly": "Teams are filled by the draft",
+  "compare.quickTitle": "Quick Compare",
+  "compare.quickHint": "Select two characters to compare side-by-side.",
+  "compare.unpinName": "Unpin {name}",
+  "compare.clear": "Clear",
+  "compare.open": "Compare ({count})",
+  "compare.title": "Compare",
+  "compare.dialog": "Compare characters",
+  "compare.close": "Close compare",
+  "compare.unpin": "Unpin",
+  "compare.baseline": "Baseline",
+  "compare.useBaseline": "Use as baseline",
+  "compare.abilities": "Abilities",
+  "grid.title": "Characters",
+  "grid.found": "{count} found",
+  "sound.mute": "Mute sounds",
+  "sound.unmute": "Unmute sounds",
+  "sound.volume": "Sound volume",
+  "roster.loading": "Loading characters…",
+  "roster.error": "Could not load characters.",
+  "roster.retry": "Retry",
+  "roster.issues": "{skipped} skipped, {warnings} warnings in roster data",
+  "card.locked": "Locked",
+  "card.lockedState": "locked",
+  "card.lockedTitle": "Locked — requires {requirements}",
+  "card.select": "Select",
+  "card.ban": "Ban",
+  "card.pick": "Pick",
+  "card.preview": "Preview",
+  "card.pin": "Pin for compare (right-click card or press C)",
+  "unlock.cost": "{amount} {currency}",
+  "unlock.level": "Level {level}",
+  "unlock.quest": "Quest: {quest}",
+  "unlock.dialog": "Unlock {name}",
+  "unlock.title": "Unlock {name}?",
+  "unlock.none": "No requirements listed.",
+  "unlock.cancel": "Cancel",
+  "unlock.pending": "Unlocking…",
+  "unlock.for": "Unlock for {cost}",
+  "unlock.action": "Unlock",
+  "unlock.declined": "The unlock was not approved.",
+  "unlock.failed": "Unlock failed.",
+  "unlock.done": "{name} unlocked",
+  "select.locked": "{name} is locked",
+  "select.lockedRequires": "{name} is locked (requires {requirements})",
+  "select.selected": "{name} selected",
+  "select.cleared": "Selection cleared",
+  "announce.shown": "{count} characters shown",
+  "announce.pinned": "{name} pinned for compare",
+  "announce.unpinned": "{name} unpinned from compare",
+  "announce.added": "{name} added to team slot {slot}",
+  "announce.slotCleared": "Team slot {slot} cleared",
+  "announce.swapped": "Team slots {from} and {to} swapped",
+  "announce.chooseSlot": "Choose a team slot for {name}",
+  "preview.character": "Character preview",
+  "preview.angle": "{name}, angle {index} of {count}",
+  "preview.zoomOut": "Zoom out",
+  "preview.zoomIn": "Zoom in",
+  "preview.reset": "Reset view",
+  "preview.resetHint": "Reset view (double-tap)",
+  "preview.autoRotate": "Auto-rotate",
+  "preview.pose": "Pose {index} / {count}",
+  "preview.skins": "Skins",
+  "preview.stats": "Stats",
+  "preview.abilities": "Abilities",
+  "preview.noAbilities": "No abilities listed.",
+  "ability.cooldown": "CD {cooldown}",
+  "loadout.title": "Loadout",
+  "loadout.teamSlot": "Loadout · team slot {slot}",
+  "loadout.done": "Done",
+  "loadout.none": "None",
+  "slot.weapon": "Weapon",
+  "slot.shield": "Shield",
+  "slot.armor": "Armor",
+  "slot.trinket": "Trinket",
+  "slotPicker.dialog": "Assign {name} to a team slot",
+  "slotPicker.title": "Add {name} to slot",
+  "slotPicker.cancel": "Cancel",
+  "slotPicker.slot": "Slot {slot}",
+  "slotPicker.empty": "Empty",
+  "draft.title": "Draft",
+  "draft.waiting": "Waiting to start",
+  "draft.bans": "{side} bans",
+  "draft.picks": "{side} picks",
+  "draft.opponentTurn": "{turn} — waiting for opponent",
+  "draft.done": "Draft complete",
+  "draft.secondsLeft": "{seconds} seconds left",
+  "draft.seconds": "{seconds}s",
+  "draft.start": "Start draft",
+  "draft.reset": "Reset",
+  "draft.you": "(you)",
+  "draft.banList": "Bans:",
+  "draft.pickSlot": "Pick {slot}",
+  "draft.banned": "Banned",
+  "draft.pickedBy": "{side} pick",
+  "draft.bannedName": "{side} banned {name}",
+  "draft.pickedName": "{side} picked {name}",
+  "draft.skipped": "{side} skipped the ban",
+  "draft.waitingFor": "Waiting for {side}",
+  "draft.unavailable": "{name} is not available ({reason})",
+  "draft.connecting": "Connecting…",
+  "draft.disconnected": "Connection lost — moves can't be sent",
+  "draftSide.blue": "Blue",
+  "draftSide.red": "Red",
+  "abilityType.Active": "Active",
+  "abilityType.Passive": "Passive",
+};
+
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+// "pt-BR" -> ["pt-BR", "pt", "en"]
+function localeChain(locale) {
+  const chain = [];
+  const parts = String(locale || "en").split("-");
+  for (let i = parts.length; i > 0; i -= 1) chain.push(parts.slice(0, i).join("-"));
+  if (!chain.includes("en")) chain.push("en");
+  return chain;
+}
+
+// Intl objects for `locale`, or for the runtime default when the tag is invalid.
+function intlFor(Ctor, locale, options) {
+  try {
+    return new Ctor(locale, options);
+  } catch (e) {
+    return new Ctor(undefined, options);
   }
+}
+
+// A string, or a per-locale object of strings resolved along `chain`.
+function localizeText(value, chain) {
+  if (!isPlainObject(value)) return value;
+  const match = chain.find((l) => isNonEmptyString(value[l]));
+  return match ? value[match] : Object.values(value).find(isNonEmptyString) || "";
+}
+
+/**
+ * Localization helpers for `locale`: `t(key, params)` formats a catalog message, `label(kind,
+ * value, fallback)` names a data value ("class.Mage"), `text(value)` resolves per-locale
+ * character text, plus `compare` (collation), `number` and `dir` ("ltr" | "rtl").
+ * `messages` holds catalogs per locale; English falls back to DEFAULT_MESSAGES.
+ */
+export function createI18n(locale = "en", messages = {}) {
+  const chain = localeChain(locale);
+  const catalogs = [...chain.map((l) => messages[l]), DEFAULT_MESSAGES].filter(Boolean);
+  const lookup = (key) => {
+    const catalog = catalogs.find((c) => c[key] != null);
+    return catalog ? catalog[key] : null;
+  };
+  const format = (message, params = {}) =>
+    typeof message === "function"
+      ? message(params)
+      : String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+  return {
+    locale,
+    dir: RTL_LANGUAGES.includes(chain[chain.length - 2] || "en") ? "rtl" : "ltr",
+    t: (key, params) => {
+      const message = lookup(key);
+      return message == null ? key : format(message, params);
+    },
+    label: (kind, value, fallback = value) => {
+      const message = value == null ? null : lookup(`${kind}.${value}`);
+      return message == null ? fallback : format(message);
+    },
+    text: (value) => localizeText(value, chain),
+    compare: intlFor(Intl.Collator, locale, { numeric: true }).compare,
+    number: intlFor(Intl.NumberFormat, locale).format,
+  };
+}
+
+// The character with its text fields resolved for the locale.
+function localizeCharacter(char, i18n) {
+  return {
+    ...char,
+    name: i18n.text(char.name),
+    abilities: char.abilities.map((a) => ({ ...a, name: i18n.text(a.name), desc: i18n.text(a.desc), cooldown: i18n.text(a.cooldown) })),
+    unlock: char.unlock && char.unlock.quest ? { ...char.unlock, quest: i18n.text(char.unlock.quest) } : char.unlock,
+  };
+}
+
+// Field rules for roster entries. Required fields reject the entry when invalid;
+// optional fields are reported and replaced by their default.
+const CHARACTER_SCHEMA = {
+  id: { type: "string", required: true },
+  name: { type: "text", required: true },
+  class: { type: "string", required: true },
+  rarity: { type: "string", required: true },
+  element: { type: "string", default: "" },
+  faction: { type: "string", default: "" },
+  unlocked: { type: "boolean", default: true },
+  unlock: { type: "unlock", default: null },
+  popularity: { type: "number", default: 0 },
+  power: { type: "number", default: 0 },
+  image: { type: "string", default: null },
+  portrait: { type: "string", default: null },
+  art: { type: "string", default: null },
+  releaseDate: { type: "date", default: null },
+  assets: { type: "assets", default: null },
+  turntable: { type: "turntable", default: null },
+  colors: { type: "colors", default: () => [...DEFAULT_COLORS] },
+  poses: { type: "string[]", default: () => ["default"] },
+  skins: { type: "string[]", default: () => ["Default"] },
+  stats: { type: "stats", default: () => Object.fromEntries(STAT_KEYS.map((k) => [k, 0])) },
+  abilities: { type: "abilities", default: () => [] },
+};
 
-  function applyFilters(list) {
-    return list
-      .filter((c) => (filters.class === "All" ? true : c.class === filters.class))
-      .filter((c) => (filters.rarity === "All" ? true : c.rarity === filters.rarity))
-      .filter((c) => (filters.unlocked === "All" ? true : (filters.unlocked === "Unlocked" ? c.unlocked : !c.unlocked)));
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// A string or a per-locale object of strings.
+function isLocalizedText(v) {
+  if (isNonEmptyString(v)) return true;
+  return isPlainObject(v) && Object.keys(v).length > 0 && Object.values(v).every(isNonEmptyString);
+}
+
+function isAsset(v) {
+  if (isNonEmptyString(v)) return true;
+  return isPlainObject(v) && isNonEmptyString(v.src) && Number.isFinite(v.frameWidth) && Number.isFinite(v.frameHeight);
+}
+
+function isTurntableFrames(v) {
+  if (Array.isArray(v)) return v.length > 0 && v.every(isNonEmptyString);
+  return isPlainObject(v) && isAsset(v);
+}
+
+function checkField(value, type) {
+  switch (type) {
+    case "string":
+      return isNonEmptyString(value);
+    case "text":
+      return isLocalizedText(value);
+    case "string[]":
+      return Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+    case "colors":
+      return Array.isArray(value) && value.length >= 1 && value.length <= 2 && value.every(isNonEmptyString);
+    case "stats":
+      return !!value && typeof value === "object" && STAT_KEYS.every((k) => Number.isFinite(value[k]));
+    case "abilities":
+      return Array.isArray(value) && value.every((a) => a && typeof a === "object" && isLocalizedText(a.name));
+    case "number":
+      return Number.isFinite(value);
+    case "date":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value));
+    case "assets":
+      return isPlainObject(value) && Object.values(value).every((poses) => isPlainObject(poses) && Object.values(poses).every(isAsset));
+    case "turntable":
+      return isPlainObject(value) && Object.values(value).every(isTurntableFrames);
+    case "unlock":
+      return (
+        isPlainObject(value) &&
+        (value.cost == null ||
+          (isPlainObject(value.cost) && Number.isFinite(value.cost.amount) && isNonEmptyString(value.cost.currency))) &&
+        (value.level == null || Number.isFinite(value.level)) &&
+        (value.quest == null || isLocalizedText(value.quest))
+      );
+    default:
+      return typeof value === type;
   }
+}
 
-  function applySort(list) {
-    const s = [...list];
-    if (sortBy === "alphabetical") return s.sort((a, b) => a.name.localeCompare(b.name));
-    if (sortBy === "power") return s.sort((a, b) => b.power - a.power);
-    if (sortBy === "popularity") return s.sort((a, b) => b.popularity - a.popularity);
-    if (sortBy === "newest") return s; // sample data lacks dates
-    return s;
+function describeType(type) {
+  switch (type) {
+    case "string":
+      return "a non-empty string";
+    case "text":
+      return "a non-empty string or an object of locale -> string";
+    case "string[]":
+      return "a non-empty array of strings";
+    case "colors":
+      return "an array of one or two color strings";
+    case "stats":
+      return `an object with numeric ${STAT_KEYS.join("/")}`;
+    case "abilities":
+      return "an array of abilities, each with a name";
+    case "date":
+      return "a date string (e.g. 2024-03-14)";
+    case "assets":
+      return "an object of skin -> pose -> image URL or sprite frame";
+    case "turntable":
+      return "an object of skin -> array of image URLs or sprite sheet";
+    case "unlock":
+      return "an object { cost: { amount, currency }, level, quest }";
+    default:
+      return `a ${type}`;
   }
+}
 
-  const visibleChars = applySort(applyFilters(characters));
+/**
+ * Validate one raw roster entry against CHARACTER_SCHEMA.
+ * Returns { character, issues }; `character` is null when the entry has to be skipped.
+ * Each issue is { index, id, field, severity: "error" | "warning", message }.
+ */
+export function validateCharacter(raw, index = 0) {
+  const issues = [];
+  const id = raw && typeof raw === "object" && isNonEmptyString(raw.id) ? raw.id : null;
+  const report = (field, severity, message) => {
+    const where = id ? `characters[${index}] "${id}"` : `characters[${index}]`;
+    issues.push({ index, id, field, severity, message: `${where}: ${message}` });
+  };
 
-  function briefOnHover(char) {
-    setPreviewChar(char);
-    setPoseIndex(0);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    report(null, "error", "entry must be an object");
+    return { character: null, issues };
   }
 
-  function toggleSelect(id) {
-    if (selectedId === id) {
-      setSelectedId(null);
+  const character = { ...raw };
+  for (const [field, rule] of Object.entries(CHARACTER_SCHEMA)) {
+    const value = raw[field];
+    if (value === undefined || value === null) {
+      if (rule.required) report(field, "error", `missing required field "${field}"`);
+      else character[field] = typeof rule.default === "function" ? rule.default() : rule.default;
+      continue;
+    }
+    if (checkField(value, rule.type)) continue;
+    if (rule.required) {
+      report(field, "error", `"${field}" must be ${describeType(rule.type)}`);
     } else {
-      setSelectedId(id);
+      report(field, "warning", `"${field}" must be ${describeType(rule.type)}; using the default`);
+      character[field] = typeof rule.default === "function" ? rule.default() : rule.default;
     }
   }
 
-  function confirmSelect(id) {
-    setSelectedId(id);
-    playClickTone();
-    // selection confirmation animation handled by Framer Motion in the card
+  if (character.colors && character.colors.length === 1) character.colors = [character.colors[0], character.colors[0]];
+  if (Array.isArray(character.abilities)) {
+    character.abilities = character.abilities.map((a) => ({ key: "", type: "", cooldown: "—", desc: "", ...a }));
   }
 
-  function clearSelection() {
-    setSelectedId(null);
+  if (issues.some((i) => i.severity === "error")) return { character: null, issues };
+  return { character, issues };
+}
+
+/**
+ * Validate a whole roster. Invalid entries and duplicate ids are dropped.
+ * Returns { characters, issues }.
+ */
+export function validateRoster(list) {
+  if (!Array.isArray(list)) {
+    return {
+      characters: [],
+      issues: [{ index: null, id: null, field: null, severity: "error", message: "roster must be an array of characters" }],
+    };
   }
+  const seen = new Set();
+  const characters = [];
+  const issues = [];
+  list.forEach((raw, index) => {
+    const result = validateCharacter(raw, index);
+    issues.push(...result.issues);
+    if (!result.character) return;
+    if (seen.has(result.character.id)) {
+      issues.push({
+        index,
+        id: result.character.id,
+        field: "id",
+        severity: "error",
+        message: `characters[${index}] "${result.character.id}": duplicate id, entry skipped`,
+      });
+      return;
+    }
+    seen.add(result.character.id);
+    characters.push(result.character);
+  });
+  return { characters, issues };
+}
 
-  // Drag-and-drop handlers for team slots
-  function onDragStart(e, charId) {
-    e.dataTransfer.setData("text/char", charId);
+// Resolve a loader (URL string or async function) to the raw roster array.
+async function loadRoster(loader, signal) {
+  let data;
+  if (typeof loader === "function") {
+    data = await loader({ signal });
+  } else {
+    const res = await fetch(loader, { signal });
+    if (!res.ok) throw new Error(`Failed to load roster from ${loader} (HTTP ${res.status})`);
+    data = await res.json();
   }
-  function onDropToSlot(e, idx) {
-    const charId = e.dataTransfer.getData("text/char");
-    const char = characters.find((c) => c.id === charId);
-    if (!char) return;
-    setTeamSlots((prev) => {
-      const copy = [...prev];
-      copy[idx] = char;
-      return copy;
+  // accept a bare array or { characters: [...] }
+  return Array.isArray(data) ? data : data && data.characters;
+}
+
+// Same array, or one holding the same entries.
+function sameItems(a, b) {
+  return a === b || (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((x, i) => x === b[i]));
+}
+
+// Roster state: validated `characters` prop, loader result, or the sample data.
+// Inline `characters` arrays and `loader` functions are new on every host render, so the
+// roster is revalidated only when its entries change and refetched for a new URL or reload().
+function useRoster({ characters, loader }) {
+  const charactersRef = useRef(characters);
+  if (!sameItems(charactersRef.current, characters)) charactersRef.current = characters;
+  const stableCharacters = charactersRef.current;
+  const loaderRef = useRef(loader);
+  loaderRef.current = loader;
+  const loaderKey = typeof loader === "function" ? "function" : loader || null;
+  const fromProps = useMemo(
+    () => (stableCharacters ? validateRoster(stableCharacters) : loaderKey ? null : validateRoster(SAMPLE_CHARACTERS)),
+    [stableCharacters, loaderKey]
+  );
+  const [loaded, setLoaded] = useState({ status: "loading", characters: [], issues: [], error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (fromProps) return;
+    let cancelled = false;
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    setLoaded((s) => ({ ...s, status: "loading", error: null }));
+    loadRoster(loaderRef.current, controller && controller.signal)
+      .then((list) => {
+        if (!cancelled) setLoaded({ status: "ready", error: null, ...validateRoster(list) });
+      })
+      .catch((error) => {
+        if (!cancelled) setLoaded({ status: "error", characters: [], issues: [], error });
+      });
+    return () => {
+      cancelled = true;
+      if (controller) controller.abort();
+    };
+  }, [fromProps, loaderKey, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+  if (fromProps) return { status: "ready", error: null, ...fromProps, reload };
+  return { ...loaded, reload };
+}
+
+
+// Number that tweens from its previous value whenever `value` changes (jumps when motion is reduced).
+function AnimatedNumber({ value, duration = 0.5 }) {
+  const [display, setDisplay] = useState(value);
+  const fromRef = useRef(value);
+  const reduceMotion = useReducedMotionConfig();
+  useEffect(() => {
+    if (reduceMotion) {
+      fromRef.current = value;
+      setDisplay(value);
+      return;
+    }
+    const controls = animate(fromRef.current, value, {
+      duration,
+      onUpdate: (v) => {
+        fromRef.current = v;
+        setDisplay(v);
+      },
     });
+    return () => controls.stop();
+  }, [value]);
+  return <>{Math.round(display)}</>;
+}
+
+// Radar chart of stats normalized against the roster maximum per stat.
+function StatRadar({ stats, maxStats, i18n, color = DEFAULT_COLORS[0], size = 200 }) {
+  const center = size / 2;
+  const radius = size / 2 - 28;
+  const point = (i, ratio) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / STAT_KEYS.length;
+    return [center + Math.cos(angle) * radius * ratio, center + Math.sin(angle) * radius * ratio];
+  };
+  const toPath = (ratios) =>
+    ratios.map((r, i) => point(i, r).map((n) => n.toFixed(1)).join(" ")).reduce((d, p, i) => `${d}${i ? "L" : "M"}${p} `, "") + "Z";
+  const ratios = STAT_KEYS.map((k) => Math.min(1, stats[k] / (maxStats[k] || 1)));
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full h-auto" role="img" aria-label={i18n.t("stat.radar")}>
+      {[0.25, 0.5, 0.75, 1].map((ring) => (
+        <path key={ring} d={toPath(STAT_KEYS.map(() => ring))} fill="none" stroke="currentColor" strokeOpacity="0.12" />
+      ))}
+      {STAT_KEYS.map((k, i) => {
+        const [x, y] = point(i, 1);
+        const [lx, ly] = point(i, 1.22);
+        return (
+          <g key={k}>
+            <line x1={center} y1={center} x2={x} y2={y} stroke="currentColor" strokeOpacity="0.12" />
+            <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" fontSize="10" fill="currentColor" opacity="0.8">
+              {i18n.t(`stat.${k}`)}
+            </text>
+          </g>
+        );
+      })}
+      <motion.path
+        initial={false}
+        animate={{ d: toPath(ratios) }}
+        transition={{ type: "spring", stiffness: 120, damping: 18 }}
+        fill={color}
+        fillOpacity="0.35"
+        stroke={color}
+        strokeWidth="2"
+      />
+    </svg>
+  );
+}
+
+// Horizontal stat bars with the raw value; widths share the radar's normalization.
+// With `baseStats`, stats that differ get a tick at the base value and a delta.
+function StatBars({ stats, maxStats, baseStats, i18n, color = DEFAULT_COLORS[0] }) {
+  const width = (v, k) => `${Math.min(100, (v / (maxStats[k] || 1)) * 100)}%`;
+  return (
+    <div className="space-y-1">
+      {STAT_KEYS.map((k) => {
+        const changed = baseStats && baseStats[k] !== stats[k];
+        return (
+          <div key={k} className="flex items-center gap-2 text-xs">
+            <div className="w-10 text-[color:var(--cs-muted)]">{i18n.t(`stat.${k}`)}</div>
+            <div className="relative flex-1 h-2 rounded bg-[var(--cs-surface-strong)] overflow-hidden">
+              <motion.div
+                className="h-full rounded"
+                style={{ background: color }}
+                initial={false}
+                animate={{ width: width(stats[k], k) }}
+                transition={{ type: "spring", stiffness: 120, damping: 20 }}
+              />
+              {changed && (
+                <div
+                  className="absolute inset-y-0 w-0.5 bg-[var(--cs-text)] opacity-80"
+                  style={{ insetInlineStart: width(baseStats[k], k) }}
+                  title={i18n.t("stat.base", { value: baseStats[k] })}
+                />
+              )}
+            </div>
+            <div className="w-12 text-end tabular-nums">
+              <AnimatedNumber value={stats[k]} />
+            </div>
+            {baseStats && (
+              <div className="w-10 text-end">{changed && <Delta value={stats[k] - baseStats[k]} />}</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Small looping icon per ability type: a pulsing bolt for actives, a spinning ring otherwise.
+function AbilityIcon({ type, color }) {
+  if (type === "Active") {
+    return (
+      <motion.svg
+        viewBox="0 0 24 24"
+        className="w-8 h-8"
+        animate={{ scale: [1, 1.12, 1], opacity: [0.85, 1, 0.85] }}
+        transition={{ duration: 1.6, repeat: Infinity, ease: "easeInOut" }}
+      >
+        <path d="M13 2 L4 14 H11 L10 22 L20 9 H13 Z" fill={color} />
+      </motion.svg>
+    );
   }
-  function onDragOver(e) {
-    e.preventDefault();
+  return (
+    <motion.svg
+      viewBox="0 0 24 24"
+      className="w-8 h-8"
+      animate={{ rotate: 360 }}
+      transition={{ duration: 6, repeat: Infinity, ease: "linear" }}
+    >
+      <circle cx="12" cy="12" r="9" fill="none" stroke={color} strokeWidth="2" strokeDasharray="10 4" />
+      <circle cx="12" cy="12" r="4" fill={color} />
+    </motion.svg>
+  );
+}
+
+function AbilityCard({ ability, color, i18n }) {
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 6 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -6 }}
+      className="flex gap-3 items-start bg-[var(--cs-surface)] rounded-lg p-2"
+    >
+      <div className="relative shrink-0">
+        <AbilityIcon type={ability.type} color={color} />
+        {ability.key && (
+          <span className="absolute -bottom-1 -end-1 text-[10px] font-bold text-white bg-black/70 rounded px-1">{ability.key}</span>
+        )}
+      </div>
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-sm">{ability.name}</span>
+          {ability.type && (
+            <span className="text-[10px] uppercase tracking-wide bg-[var(--cs-surface-strong)] rounded px-1">
+              {i18n.label("abilityType", ability.type)}
+            </span>
+          )}
+          <span className="ms-auto text-xs text-[color:var(--cs-subtle)]">{i18n.t("ability.cooldown", { cooldown: ability.cooldown })}</span>
+        </div>
+        <div className="text-xs text-[color:var(--cs-muted)] mt-1">{ability.desc}</div>
+      </div>
+    </motion.div>
+  );
+}
+
+// Signed difference against the compare baseline; positive is green.
+function Delta({ value }) {
+  if (!value) return <span className="text-xs text-[color:var(--cs-subtle)]">±0</span>;
+  return (
+    <span className={`text-xs tabular-nums ${value > 0 ? "text-[color:var(--cs-positive)]" : "text-[color:var(--cs-danger)]"}`}>
+      {value > 0 ? "+" : "−"}
+      {Math.abs(Math.round(value))}
+    </span>
+  );
+}
+
+// Human-readable unlock requirements, e.g. ["1,200 Gems", "Level 15", "Quest: The Rooted Oath"].
+function describeUnlock(unlock, i18n) {
+  if (!unlock) return [];
+  const parts = [];
+  if (unlock.cost) {
+    parts.push(i18n.t("unlock.cost", { amount: i18n.number(unlock.cost.amount), currency: i18n.label("currency", unlock.cost.currency) }));
   }
+  if (unlock.level != null) parts.push(i18n.t("unlock.level", { level: i18n.number(unlock.level) }));
+  if (unlock.quest) parts.push(i18n.t("unlock.quest", { quest: unlock.quest }));
+  return parts;
+}
 
-  // Simple WebAudio tone for click/hover
-  function playTone(freq = 440, time = 0.05) {
-    try {
-      const ctx = new (window.AudioContext || window.webkitAudioContext)();
-      const o = ctx.createOscillator();
-      const g = ctx.createGain();
-      o.type = "sine";
-      o.frequency.value = freq;
-      g.gain.value = 0.02;
-      o.connect(g);
-      g.connect(ctx.destination);
-      o.start();
-      o.stop(ctx.currentTime + time);
-    } catch (e) {
-      // audio not available
+function UnlockDialog({ char, status, message, i18n, onConfirm, onCancel }) {
+  const requirements = describeUnlock(char.unlock, i18n);
+  const pending = status === "pending";
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={pending ? undefined : onCancel}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-label={i18n.t("unlock.dialog", { name: char.name })}
+        className="bg-[var(--cs-raised)] rounded-2xl p-4 max-w-sm w-full"
+        initial={{ scale: 0.96, y: 12 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.96, y: 12 }}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === "Escape" && !pending) onCancel();
+          e.stopPropagation();
+        }}
+      >
+        <h3 className="text-xl font-semibold">{i18n.t("unlock.title", { name: char.name })}</h3>
+        {requirements.length > 0 ? (
+          <ul className="mt-3 space-y-1 text-sm text-[color:var(--cs-muted)]">
+            {requirements.map((r) => (
+              <li key={r}>• {r}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-3 text-sm text-[color:var(--cs-muted)]">{i18n.t("unlock.none")}</p>
+        )}
+        {message && (
+          <div className="mt-3 text-xs text-[color:var(--cs-danger)]" role="alert">{message}</div>
+        )}
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onCancel} disabled={pending} className="px-3 py-2 rounded bg-[var(--cs-surface-strong)] disabled:opacity-40">
+            {i18n.t("unlock.cancel")}
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={pending}
+            autoFocus
+            className="px-3 py-2 rounded bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)] hover:brightness-110 font-semibold disabled:opacity-60"
+          >
+            {pending
+              ? i18n.t("unlock.pending")
+              : char.unlock && char.unlock.cost
+                ? i18n.t("unlock.for", { cost: requirements[0] })
+                : i18n.t("unlock.action")}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Columns for each pinned character; deltas are relative to the first column.
+// Equipped characters carry `equipped` items and show them under the header.
+function CompareView({ chars, maxStats, i18n, onClose, onUnpin, onMakeBaseline }) {
+  const base = chars[0];
+  const rows = [
+    { key: "power", label: i18n.t("field.power"), get: (c) => c.power },
+    { key: "popularity", label: i18n.t("field.popularity"), get: (c) => c.popularity },
+    ...STAT_KEYS.map((k) => ({ key: k, label: i18n.t(`stat.${k}`), get: (c) => c.stats[k], stat: k })),
+  ];
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-label={i18n.t("compare.dialog")}
+        className="bg-[var(--cs-raised)] rounded-2xl p-4 max-w-5xl w-full max-h-full overflow-auto"
+        initial={{ scale: 0.96, y: 12 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.96, y: 12 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-xl font-semibold">{i18n.t("compare.title")}</h3>
+          <button onClick={onClose} className="px-3 py-1 rounded bg-[var(--cs-surface-strong)]" aria-label={i18n.t("compare.close")}>✕</button>
+        </div>
+        <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${chars.length}, minmax(0, 1fr))` }}>
+          {chars.map((c) => (
+            <div key={c.id} className="bg-[var(--cs-surface)] rounded-xl p-3 space-y-3">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <div className="text-lg font-semibold" style={{ color: c.colors[0] }}>{c.name}</div>
+                  <div className="text-xs text-[color:var(--cs-muted)]">
+                    {i18n.label("class", c.class)} · {i18n.label("rarity", c.rarity)} · {i18n.label("element", c.element)}
+                  </div>
+                </div>
+                <button onClick={() => onUnpin(c.id)} className="text-xs text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]" title={i18n.t("compare.unpin")}>✕</button>
+              </div>
+              {c === base ? (
+                <div className="text-[10px] uppercase tracking-wide text-[color:var(--cs-accent-soft)]">{i18n.t("compare.baseline")}</div>
+              ) : (
+                <button onClick={() => onMakeBaseline(c.id)} className="text-[10px] uppercase tracking-wide text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]">
+                  {i18n.t("compare.useBaseline")}
+                </button>
+              )}
+              {c.equipped && c.equipped.length > 0 && (
+                <div className="text-xs text-[color:var(--cs-accent-soft)]">⚙ {c.equipped.map((item) => i18n.text(item.name)).join(", ")}</div>
+              )}
+              <div className="space-y-1">
+                {rows.map((row) => (
+                  <div key={row.key} className="flex items-center gap-2 text-xs">
+                    <div className="w-16 text-[color:var(--cs-muted)]">{row.label}</div>
+                    <div className="flex-1">
+                      {row.stat && (
+                        <div className="h-1.5 rounded bg-[var(--cs-surface-strong)] overflow-hidden">
+                          <div className="h-full rounded" style={{ width: `${(row.get(c) / maxStats[row.stat]) * 100}%`, background: c.colors[0] }} />
+                        </div>
+                      )}
+                    </div>
+                    <div className="w-12 text-end tabular-nums">{row.get(c)}</div>
+                    <div className="w-10 text-end">{c !== base && <Delta value={row.get(c) - row.get(base)} />}</div>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <div className="text-xs text-[color:var(--cs-subtle)] mb-1">{i18n.t("compare.abilities")}</div>
+                <ul className="space-y-1">
+                  {c.abilities.map((a) => (
+                    <li key={`${a.key}-${a.name}`} className="text-xs">
+                      <span className="font-semibold">{a.key ? `[${a.key}] ` : ""}{a.name}</span>
+                      <span className="text-[color:var(--cs-subtle)]"> · {i18n.label("abilityType", a.type)} · {a.cooldown}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          ))}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+/**
+ * Preset storage backed by window.localStorage.
+ * Adapters expose `load()` -> presets and `save(presets)`; either may return a Promise.
+ */
+export function createLocalStorageAdapter(key = "character-selector:presets") {
+  return {
+    load() {
+      const raw = window.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : [];
+    },
+    save(presets) {
+      window.localStorage.setItem(key, JSON.stringify(presets));
+    },
+  };
+}
+
+const TEAM_CODE_VERSION = "1";
+
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  const bin = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (ch) => ch.charCodeAt(0)));
+}
+
+/** Encode a team ({ id, skin, loadout }, ids or null) and optional name as a URL-safe share code. */
+export function encodeTeamCode(team, name = "") {
+  const slots = team
+    .map(toTeamEntry)
+    .map((entry) => {
+      if (!entry) return "";
+      const gear = Object.entries(entry.loadout)
+        .map(([slot, item]) => `${encodeURIComponent(slot)}=${encodeURIComponent(item)}`)
+        .join(";");
+      const skin = entry.skin ? encodeURIComponent(entry.skin) : "";
+      return encodeURIComponent(entry.id) + (skin || gear ? `:${skin}` : "") + (gear ? `:${gear}` : "");
+    })
+    .join(",");
+  return toBase64Url(`${TEAM_CODE_VERSION}|${encodeURIComponent(name)}|${slots}`);
+}
+
+/**
+ * Decode a share code, a `#team=` fragment or a full share URL into { name, team },
+ * where team holds { id, skin, loadout } entries or null.
+ * Throws when the input is not a team code.
+ */
+export function decodeTeamCode(input) {
+  const text = String(input || "").trim();
+  const match = text.match(/[#&?]team=([^&#]+)/);
+  const code = match ? match[1] : text;
+  let parts;
+  try {
+    parts = fromBase64Url(code).split("|");
+  } catch (e) {
+    throw new Error("Not a valid team code");
+  }
+  if (parts.length !== 3 || parts[0] !== TEAM_CODE_VERSION) throw new Error("Not a valid team code");
+  return {
+    name: decodeURIComponent(parts[1]),
+    team: parts[2].split(",").map((slot) => {
+      if (!slot) return null;
+      const [id, skin, gear = ""] = slot.split(":");
+      const loadout = Object.fromEntries(
+        gear
+          .split(";")
+          .filter(Boolean)
+          .map((pair) => pair.split("=").map(decodeURIComponent))
+      );
+      return { id: decodeURIComponent(id), skin: skin ? decodeURIComponent(skin) : null, loadout };
+    }),
+  };
+}
+
+// Preset list kept in sync with a storage adapter.
+// Stored entries that can be loaded back; anything else in storage is dropped.
+function isPreset(p) {
+  return isPlainObject(p) && isNonEmptyString(p.name) && Array.isArray(p.team);
+}
+
+function usePresets(storage) {
+  const [presets, setPresets] = useState([]);
+  const [error, setError] = useState(null);
+  const presetsRef = useRef(presets);
+  // set once the user saves or deletes; a slower load is merged instead of replacing
+  const writtenRef = useRef(false);
+
+  const write = useCallback(
+    (next) => {
+      presetsRef.current = next;
+      setPresets(next);
+      Promise.resolve()
+        .then(() => storage.save(next))
+        .catch(setError);
+    },
+    [storage]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    writtenRef.current = false;
+    Promise.resolve()
+      .then(() => storage.load())
+      .then((list) => {
+        if (cancelled) return;
+        const loaded = Array.isArray(list) ? list.filter(isPreset) : [];
+        if (!writtenRef.current) {
+          presetsRef.current = loaded;
+          setPresets(loaded);
+          return;
+        }
+        const local = presetsRef.current;
+        write([...loaded.filter((p) => !local.some((l) => l.name === p.name)), ...local]);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, write]);
+
+  const persist = useCallback(
+    (update) => {
+      writtenRef.current = true;
+      write(update(presetsRef.current));
+    },
+    [write]
+  );
+
+  const savePreset = useCallback(
+    (name, team) => persist((prev) => [...prev.filter((p) => p.name !== name), { name, team, savedAt: Date.now() }]),
+    [persist]
+  );
+  const deletePreset = useCallback((name) => persist((prev) => prev.filter((p) => p.name !== name)), [persist]);
+
+  return { presets, savePreset, deletePreset, error };
+}
+
+// Named sound events. Tones play `notes` (Hz) one after another, `duration` seconds each.
+const DEFAULT_SOUNDS = {
+  hover: { notes: [660], duration: 0.03, throttle: 90 },
+  select: { notes: [880], duration: 0.05, throttle: 60 },
+  confirm: { notes: [660, 990], duration: 0.08 },
+  "team-drop": { notes: [523, 784], duration: 0.07 },
+  "locked-denied": { notes: [220, 165], duration: 0.1, wave: "square", gain: 0.03 },
+  // any other refused action (team rules, draft turns)
+  reject: { notes: [330, 262], duration: 0.08, wave: "triangle", gain: 0.04 },
+};
+const DEFAULT_SOUND_THROTTLE_MS = 40;
+
+function normalizeSound(sound) {
+  if (!sound) return null;
+  if (typeof sound === "string") return { src: sound };
+  if (isPlainObject(sound)) return sound;
+  // AudioBuffer or encoded ArrayBuffer
+  return { buffer: sound };
+}
+
+/**
+ * Audio engine shared by selectors. The AudioContext is only created on the first sound
+ * (browsers limit how many a page may open); `{ muted, volume }` is kept in `storage`.
+ */
+export function createAudioEngine(storage = createLocalStorageAdapter("character-selector:audio")) {
+  let ctx = null;
+  let master = null;
+  let prefs = { muted: false, volume: 0.6 };
+  const listeners = new Set();
+  const lastPlayed = new Map();
+  const decoded = new Map();
+
+  function context() {
+    if (!ctx) {
+      const AudioContextClass = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+      if (!AudioContextClass) return null;
+      ctx = new AudioContextClass();
+      master = ctx.createGain();
+      master.gain.value = prefs.volume;
+      master.connect(ctx.destination);
+    }
+    // contexts start suspended until a user gesture
+    if (ctx.state === "suspended") ctx.resume().catch(() => {});
+    return ctx;
+  }
+
+  function setPrefs(patch, persist = true) {
+    prefs = {
+      muted: typeof patch.muted === "boolean" ? patch.muted : prefs.muted,
+      volume: Number.isFinite(patch.volume) ? Math.min(1, Math.max(0, patch.volume)) : prefs.volume,
+    };
+    if (master) master.gain.value = prefs.volume;
+    listeners.forEach((fn) => fn(prefs));
+    if (persist) {
+      Promise.resolve()
+        .then(() => storage.save(prefs))
+        .catch(() => {});
+    }
+  }
+
+  Promise.resolve()
+    .then(() => storage.load())
+    .then((saved) => {
+      if (isPlainObject(saved)) setPrefs(saved, false);
+    })
+    .catch(() => {});
+
+  function decode(ac, { src, buffer }) {
+    if (typeof AudioBuffer !== "undefined" && buffer instanceof AudioBuffer) return Promise.resolve(buffer);
+    const key = src || buffer;
+    if (!decoded.has(key)) {
+      const bytes = src ? fetch(src).then((res) => res.arrayBuffer()) : Promise.resolve(buffer.slice(0));
+      decoded.set(
+        key,
+        bytes
+          .then((data) => ac.decodeAudioData(data))
+          .catch((err) => {
+            decoded.delete(key);
+            throw err;
+          })
+      );
     }
+    return decoded.get(key);
   }
-  function playClickTone() {
-    playTone(880, 0.06);
+
+  function playTone(ac, { notes = [440], duration = 0.05, wave = "sine", gain = 0.05 }) {
+    notes.forEach((freq, i) => {
+      const start = ac.currentTime + i * duration;
+      const osc = ac.createOscillator();
+      const env = ac.createGain();
+      osc.type = wave;
+      osc.frequency.value = freq;
+      env.gain.setValueAtTime(gain, start);
+      env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+      osc.connect(env);
+      env.connect(master);
+      osc.start(start);
+      osc.stop(start + duration);
+    });
   }
-  function playHoverTone() {
-    playTone(660, 0.03);
+
+  function playSample(ac, sound) {
+    decode(ac, sound)
+      .then((buffer) => {
+        const source = ac.createBufferSource();
+        const env = ac.createGain();
+        source.buffer = buffer;
+        env.gain.value = sound.gain == null ? 1 : sound.gain;
+        source.connect(env);
+        env.connect(master);
+        source.start();
+      })
+      .catch(() => {
+        // missing or undecodable sample: stay silent
+      });
   }
 
-  // Preview interactions: rotate via drag, zoom via wheel
+  return {
+    /** Play the sound mapped to `event` in `sounds` (defaults to DEFAULT_SOUNDS). */
+    play(event, sounds = DEFAULT_SOUNDS) {
+      const sound = normalizeSound(sounds[event]);
+      if (!sound || prefs.muted || !prefs.volume) return;
+      const now = Date.now();
+      const throttle = sound.throttle == null ? DEFAULT_SOUND_THROTTLE_MS : sound.throttle;
+      if (now - (lastPlayed.get(event) || 0) < throttle) return;
+      lastPlayed.set(event, now);
+      try {
+        const ac = context();
+        if (!ac) return;
+        if (sound.src || sound.buffer) playSample(ac, sound);
+        else playTone(ac, sound);
+      } catch (e) {
+        // audio not available
+      }
+    },
+    getPrefs: () => prefs,
+    setMuted: (muted) => setPrefs({ muted }),
+    setVolume: (volume) => setPrefs({ volume }),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+let sharedAudioEngine = null;
+function getSharedAudioEngine() {
+  if (!sharedAudioEngine) sharedAudioEngine = createAudioEngine();
+  return sharedAudioEngine;
+}
+
+function useAudioPrefs(engine) {
+  const [prefs, setPrefs] = useState(engine.getPrefs);
   useEffect(() => {
-    const el = previewRef.current;
-    if (!el) return;
-    let dragging = false;
-    let lastX = 0;
-    function onPointerDown(e) {
-      dragging = true;
-      lastX = e.clientX || (e.touches && e.touches[0].clientX) || 0;
+    setPrefs(engine.getPrefs());
+    return engine.subscribe(setPrefs);
+  }, [engine]);
+  return prefs;
+}
+
+// Team entries are { id, skin, loadout } or null; plain id strings are accepted on the way in.
+function toTeamEntry(entry) {
+  if (entry == null) return null;
+  if (typeof entry === "string") return { id: entry, skin: null, loadout: {} };
+  if (entry.id == null) return null;
+  return { id: entry.id, skin: entry.skin || null, loadout: isPlainObject(entry.loadout) ? { ...entry.loadout } : {} };
+}
+
+function normalizeTeam(team, size) {
+  return Array.from({ length: size }, (_, i) => toTeamEntry(team && team[i]));
+}
+
+// Why `char` may not go into slot `idx` of `team`, or null when allowed.
+function checkTeamPlacement(team, idx, char, rules, findChar, i18n) {
+  if (char.unlocked === false && !rules.allowLocked) return i18n.t("team.locked", { name: char.name });
+  const others = team.filter((entry, i) => i !== idx && entry).map((entry) => entry.id);
+  if (!rules.allowDuplicates && others.includes(char.id)) return i18n.t("team.duplicate", { name: char.name });
+  const role = rules.roles && rules.roles[char.class];
+  if (role && role.max != null) {
+    const count = others.map(findChar).filter((c) => c && c.class === char.class).length;
+    if (count >= role.max) return i18n.t("team.roleMax", { max: role.max, role: i18n.label("class", char.class) });
+  }
+  return null;
+}
+
+// Fit an imported team into the current roster and rules; returns { team, dropped }.
+function resolveImportedTeam(entries, rules, findChar, equipment, i18n) {
+  const team = normalizeTeam([], rules.size);
+  const dropped = [];
+  entries.slice(0, rules.size).map(toTeamEntry).forEach((entry, i) => {
+    if (!entry) return;
+    const char = findChar(entry.id);
+    if (!char) {
+      dropped.push(i18n.t("team.notInRoster", { id: entry.id }));
+      return;
     }
-    function onPointerMove(e) {
-      if (!dragging) return;
-      const x = e.clientX || (e.touches && e.touches[0].clientX) || 0;
-      const dx = x - lastX;
-      lastX = x;
-      setRotation((r) => r + dx * 0.3);
+    const reason = checkTeamPlacement(team, i, char, rules, findChar, i18n);
+    if (reason) {
+      dropped.push(reason);
+      return;
     }
-    function onPointerUp() {
-      dragging = false;
+    if (entry.skin && !char.skins.includes(entry.skin)) {
+      dropped.push(i18n.t("team.noSkin", { name: char.name, skin: i18n.label("skin", entry.skin) }));
+      entry.skin = null;
     }
-    function onWheel(e) {
-      e.preventDefault();
-      setZoom((z) => Math.min(2.2, Math.max(0.6, z - e.deltaY * 0.001)));
+    if (equipment) {
+      const { loadout, rejected } = sanitizeLoadout(char, entry.loadout, equipment);
+      rejected.forEach((itemId) => dropped.push(i18n.t("team.cannotEquip", { name: char.name, item: itemId })));
+      entry.loadout = loadout;
     }
-    el.addEventListener("pointerdown", onPointerDown);
-    window.addEventListener("pointermove", onPointerMove);
-    window.addEventListener("pointerup", onPointerUp);
-    el.addEventListener("wheel", onWheel, { passive: false });
-    return () => {
-      el.removeEventListener("pointerdown", onPointerDown);
-      window.removeEventListener("pointermove", onPointerMove);
-      window.removeEventListener("pointerup", onPointerUp);
-      el.removeEventListener("wheel", onWheel);
-    };
-  }, []);
+    team[i] = entry;
+  });
+  if (entries.length > rules.size) dropped.push(i18n.t("team.extraSlots", { count: entries.length - rules.size }));
+  return { team, dropped };
+}
 
-  // helper to cycle pose
-  function nextPose() {
-    const c = previewChar;
-    if (!c) return;
-    setPoseIndex((p) => (p + 1) % c.poses.length);
+// Totals, synergy bonuses and unmet role minimums for the filled slots.
+function computeTeamSummary(members, synergies, rules, i18n) {
+  const base = Object.fromEntries(STAT_KEYS.map((k) => [k, members.reduce((sum, c) => sum + c.stats[k], 0)]));
+  const active = synergies.filter((syn) => {
+    const values = Array.isArray(syn.value) ? syn.value : [syn.value];
+    const count = members.filter((c) => values.includes(c[syn.type])).length;
+    return count >= (syn.min || 1);
+  });
+  const multiplier = Object.fromEntries(STAT_KEYS.map((k) => [k, 1]));
+  active.forEach((syn) => {
+    Object.entries(syn.bonus || {}).forEach(([k, v]) => {
+      if (k in multiplier) multiplier[k] += v;
+    });
+  });
+  const stats = Object.fromEntries(STAT_KEYS.map((k) => [k, Math.round(base[k] * multiplier[k])]));
+  const unmetRoles = Object.entries(rules.roles || {})
+    .filter(([role, r]) => r.min && members.filter((c) => c.class === role).length < r.min)
+    .map(([role, r]) => i18n.t("team.roleMin", { min: r.min, role: i18n.label("class", role) }));
+  return {
+    power: members.reduce((sum, c) => sum + c.power, 0),
+    baseStats: base,
+    stats,
+    synergies: active,
+    unmetRoles,
+  };
+}
+
+// Equipment slots per class (`default` for the others) and the items that fit them.
+// `modifiers` are flat per-stat bonuses, `percent` fractional ones applied after them.
+const SAMPLE_EQUIPMENT = {
+  slots: {
+    default: ["weapon", "armor", "trinket"],
+    Tank: ["weapon", "shield", "armor", "trinket"],
+  },
+  items: [
+    { id: "void-staff", name: "Void Staff", slot: "weapon", classes: ["Mage"], modifiers: { skill: 60, atk: 20 }, power: 40 },
+    { id: "twin-fangs", name: "Twin Fangs", slot: "weapon", classes: ["Assassin"], modifiers: { atk: 45, spd: 10 }, power: 45 },
+    { id: "warhammer", name: "Warhammer", slot: "weapon", classes: ["Tank"], modifiers: { atk: 35, spd: -5 }, power: 30 },
+    { id: "tower-shield", name: "Tower Shield", slot: "shield", modifiers: { def: 80 }, percent: { spd: -0.05 }, power: 35 },
+    { id: "silk-robe", name: "Silk Robe", slot: "armor", classes: ["Mage", "Assassin"], modifiers: { def: 20, spd: 5 }, power: 15 },
+    { id: "plate-mail", name: "Plate Mail", slot: "armor", classes: ["Tank"], modifiers: { def: 60 }, percent: { hp: 0.1 }, power: 50 },
+    { id: "ember-charm", name: "Ember Charm", slot: "trinket", percent: { atk: 0.05 }, power: 20 },
+    { id: "heartstone", name: "Heartstone", slot: "trinket", modifiers: { hp: 400 }, power: 20 },
+  ],
+};
+
+// The preview region (percent of the stage) highlighted for each slot; labels are "slot.<slot>" messages.
+const EQUIPMENT_SLOTS = {
+  weapon: { region: { left: 60, top: 28, width: 26, height: 42 } },
+  shield: { region: { left: 14, top: 32, width: 26, height: 34 } },
+  armor: { region: { left: 34, top: 30, width: 32, height: 40 } },
+  trinket: { region: { left: 42, top: 10, width: 16, height: 16 } },
+};
+
+function equipmentSlotsFor(char, equipment) {
+  const slots = (equipment && equipment.slots) || {};
+  return slots[char.class] || slots.default || [];
+}
+
+function itemsForSlot(char, slot, equipment) {
+  return ((equipment && equipment.items) || []).filter(
+    (item) => item.slot === slot && (!item.classes || item.classes.includes(char.class))
+  );
+}
+
+// Drop items the character cannot wear; returns { loadout, rejected } (rejected item ids).
+function sanitizeLoadout(char, loadout, equipment) {
+  const clean = {};
+  const rejected = [];
+  const slots = equipmentSlotsFor(char, equipment);
+  Object.entries(loadout || {}).forEach(([slot, itemId]) => {
+    if (!itemId) return;
+    if (slots.includes(slot) && itemsForSlot(char, slot, equipment).some((item) => item.id === itemId)) clean[slot] = itemId;
+    else rejected.push(itemId);
+  });
+  return { loadout: clean, rejected };
+}
+
+// "+60 SKILL, +5% ATK"
+function describeModifiers(item, i18n) {
+  const flat = Object.entries(item.modifiers || {}).map(([k, v]) =>
+    i18n.t("modifier.flat", { sign: v < 0 ? "−" : "+", value: i18n.number(Math.abs(v)), stat: i18n.label("stat", k) })
+  );
+  const pct = Object.entries(item.percent || {}).map(([k, v]) =>
+    i18n.t("modifier.percent", { sign: v < 0 ? "−" : "+", value: i18n.number(Math.round(Math.abs(v) * 100)), stat: i18n.label("stat", k) })
+  );
+  return [...flat, ...pct].join(", ");
+}
+
+/**
+ * The character with `loadout` applied: `stats` and `power` include the items, `baseStats`
+ * and `basePower` keep the originals and `equipped` lists the items. Unchanged without items.
+ */
+function equipCharacter(char, loadout, equipment) {
+  const slots = equipmentSlotsFor(char, equipment);
+  const items = slots
+    .map((slot) => loadout && loadout[slot] && itemsForSlot(char, slot, equipment).find((item) => item.id === loadout[slot]))
+    .filter(Boolean);
+  if (!items.length) return char;
+  const stats = Object.fromEntries(
+    STAT_KEYS.map((k) => {
+      const flat = items.reduce((sum, item) => sum + ((item.modifiers && item.modifiers[k]) || 0), 0);
+      const pct = items.reduce((sum, item) => sum + ((item.percent && item.percent[k]) || 0), 0);
+      return [k, Math.max(0, Math.round((char.stats[k] + flat) * (1 + pct)))];
+    })
+  );
+  return {
+    ...char,
+    stats,
+    power: char.power + items.reduce((sum, item) => sum + (item.power || 0), 0),
+    baseStats: char.stats,
+    basePower: char.power,
+    equipped: items,
+  };
+}
+
+// Draft turn order: each phase's `order` lists the side acting on each of its turns.
+const DEFAULT_DRAFT_PHASES = [
+  { action: "ban", order: ["blue", "red", "blue", "red"] },
+  { action: "pick", order: ["blue", "red", "red", "blue", "blue", "red"] },
+];
+const DEFAULT_DRAFT_SIDES = [
+  { id: "blue", name: "Blue" },
+  { id: "red", name: "Red" },
+];
+
+/**
+ * Initial draft state. The state is plain JSON so a server can own it:
+ * { status: "waiting" | "running" | "done", sides, turns: [{ side, action }], turn,
+ *   turnSeconds, deadline (epoch ms or null), bans: [{ side, id }], picks: { [side]: [id] }, log }.
+ */
+export function createDraftState({ phases = DEFAULT_DRAFT_PHASES, sides = DEFAULT_DRAFT_SIDES, turnSeconds = 30 } = {}) {
+  return {
+    status: "waiting",
+    sides,
+    turns: phases.flatMap((phase) => phase.order.map((side) => ({ side, action: phase.action }))),
+    turn: 0,
+    turnSeconds,
+    deadline: null,
+    bans: [],
+    picks: Object.fromEntries(sides.map((s) => [s.id, []])),
+    log: [],
+  };
+}
+
+function draftDeadline(state, at) {
+  return state.turnSeconds ? (at || Date.now()) + state.turnSeconds * 1000 : null;
+}
+
+// Ids that are banned or already picked.
+function draftTaken(state) {
+  return new Set([...state.bans.map((b) => b.id), ...Object.values(state.picks).flat()]);
+}
+
+/**
+ * Apply a draft action: { type: "start", at }, { type: "choose", turn, side, id, auto?, at }
+ * (id null skips the turn) or { type: "reset" }. Invalid or stale actions return `state` unchanged.
+ */
+export function draftReducer(state, action) {
+  switch (action && action.type) {
+    case "start":
+      if (state.status !== "waiting") return state;
+      return { ...state, status: "running", turn: 0, deadline: draftDeadline(state, action.at) };
+    case "choose": {
+      if (state.status !== "running" || action.turn !== state.turn) return state;
+      const current = state.turns[state.turn];
+      if (action.side !== current.side) return state;
+      const id = action.id == null ? null : action.id;
+      if (id != null && draftTaken(state).has(id)) return state;
+      const next = state.turn + 1;
+      const done = next >= state.turns.length;
+      return {
+        ...state,
+        bans: current.action === "ban" && id != null ? [...state.bans, { side: current.side, id }] : state.bans,
+        picks:
+          current.action === "pick" && id != null
+            ? { ...state.picks, [current.side]: [...state.picks[current.side], id] }
+            : state.picks,
+        log: [...state.log, { turn: state.turn, side: current.side, action: current.action, id, auto: !!action.auto }],
+        turn: next,
+        status: done ? "done" : "running",
+        deadline: done ? null : draftDeadline(state, action.at),
+      };
+    }
+    case "reset":
+      return {
+        ...state,
+        status: "waiting",
+        turn: 0,
+        deadline: null,
+        bans: [],
+        picks: Object.fromEntries(state.sides.map((s) => [s.id, []])),
+        log: [],
+      };
+    default:
+      return state;
   }
-  function prevPose() {
-    const c = previewChar;
-    if (!c) return;
-    setPoseIndex((p) => (p - 1 + c.poses.length) % c.poses.length);
+}
+
+/**
+ * In-memory draft transport for hot-seat play and tests. Transports expose `getState()`,
+ * `send(action)` -> true, false (rejected) or "pending" (decided remotely), `subscribe(listener)`
+ * -> unsubscribe (the listener gets the current state right away when there is one) and `close()`.
+ * Networked transports may add `getConnection()` -> "connecting" | "open" | "closed" and call
+ * listeners when it changes.
+ */
+export function createLocalDraftTransport(config) {
+  let state = createDraftState(config);
+  const listeners = new Set();
+  return {
+    getState: () => state,
+    send(action) {
+      const next = draftReducer(state, action);
+      if (next === state) return false;
+      state = next;
+      listeners.forEach((fn) => fn(state));
+      return true;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(state);
+      return () => listeners.delete(fn);
+    },
+    close() {
+      listeners.clear();
+    },
+  };
+}
+
+/**
+ * Draft transport over a WebSocket; the server owns the state. Clients send
+ * { type: "draft-sync" } on connect and { type: "draft-action", action } per move, and expect
+ * { type: "draft-state", state } back. A server or local mock can apply moves with draftReducer.
+ * Once the socket closes, moves are no longer queued and `send` returns false.
+ */
+export function createWebSocketDraftTransport(url, { protocols, WebSocketImpl = typeof WebSocket !== "undefined" ? WebSocket : null } = {}) {
+  if (!WebSocketImpl) throw new Error("WebSocket is not available");
+  const socket = new WebSocketImpl(url, protocols);
+  const listeners = new Set();
+  let state = null;
+  let queued = [];
+  let connection = "connecting";
+
+  function notify() {
+    listeners.forEach((fn) => fn(state));
   }
 
-  // UI rendering helpers: inline placeholder SVGs for characters
-  function CharacterSVG({ id, name, highlighted }) {
-    // Color map by id
-    const colors = {
-      aether: ["#7C3AED", "#06B6D4"],
-      talon: ["#EF4444", "#F97316"],
-      gaia: ["#16A34A", "#F59E0B"],
-    };
-    const c = colors[id] || ["#60A5FA", "#A78BFA"];
-    return (
-      <svg viewBox="0 0 160 240" className="w-full h-full">
-        <defs>
-          <linearGradient id={`g-${id}`} x1="0" x2="1">
-            <stop offset="0" stopColor={c[0]} />
-            <stop offset="1" stopColor={c[1]} />
-          </linearGradient>
-        </defs>
-        <rect x="0" y="0" width="160" height="240" rx="14" fill="url(#g-${id})" opacity="0.12" />
-        <g transform="translate(80,120)">
-          <circle cx="0" cy="-20" r="34" fill={c[0]} opacity="0.95" />
-          <rect x="-28" y="20" width="56" height="80" rx="8" fill={c[1]} opacity="0.95" />
-          {highlighted && <circle cx="36" cy="-56" r="8" fill="#FFD54F" />}
-        </g>
-        <text x="80" y="220" textAnchor="middle" fontSize="12" fill="#fff" opacity="0.95">{name}</text>
-      </svg>
-    );
+  function setConnection(next) {
+    if (connection === next) return;
+    connection = next;
+    notify();
   }
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white p-4 md:p-8">
-      <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Left: Filters + Grid / Carousel */}
-        <aside className="col-span-1 lg:col-span-1 space-y-4">
-          <div className="bg-white/5 rounded-2xl p-4 backdrop-blur-sm">
-            <h3 className="text-xl font-semibold">Filters</h3>
-            <div className="mt-3 grid grid-cols-2 gap-2">
-              <select
-                className="bg-white/3 p-2 rounded"
-                value={filters.class}
-                onChange={(e) => setFilters((f) => ({ ...f, class: e.target.value }))}
-              >
-                <option>All</option>
-                <option>Mage</option>
-                <option>Assassin</option>
-                <option>Tank</option>
-              </select>
-              <select
-                className="bg-white/3 p-2 rounded"
-                value={filters.rarity}
-                onChange={(e) => setFilters((f) => ({ ...f, rarity: e.target.value }))}
-              >
-                <option>All</option>
-                <option>Common</option>
-                <option>Rare</option>
-                <option>Epic</option>
-                <option>Legendary</option>
-              </select>
-              <select
-                className="bg-white/3 p-2 rounded col-span-2"
-                value={filters.unlocked}
-                onChange={(e) => setFilters((f) => ({ ...f, unlocked: e.target.value }))}
-              >
-                <option>All</option>
-                <option>Unlocked</option>
-                <option>Locked</option>
-              </select>
-              <select
-                className="bg-white/3 p-2 rounded col-span-2"
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-              >
-                <option value="popularity">Sort: Popularity</option>
-                <option value="power">Sort: Power</option>
-                <option value="alphabetical">Sort: A → Z</option>
-                <option value="newest">Sort: Newest</option>
-              </select>
-            </div>
-          </div>
+  // false once the socket is closing or closed
+  function post(message) {
+    if (connection === "closed" || socket.readyState >= (WebSocketImpl.CLOSING || 2)) return false;
+    const data = JSON.stringify(message);
+    if (socket.readyState === (WebSocketImpl.OPEN || 1)) socket.send(data);
+    else queued.push(data);
+    return true;
+  }
 
-          <div className="bg-white/5 rounded-2xl p-3 backdrop-blur-sm">
-            <h3 className="text-lg font-semibold mb-2">Team Slots</h3>
-            <div className="flex gap-2">
-              {teamSlots.map((slot, i) => (
-                <div
-                  key={i}
-                  onDrop={(e) => onDropToSlot(e, i)}
-                  onDragOver={onDragOver}
-                  className="w-1/3 aspect-[3/4] rounded-lg bg-white/3 flex items-center justify-center"
-                >
-                  {slot ? (
-                    <div className="text-sm text-left px-2">
-                      <div className="font-semibold">{slot.name}</div>
-                      <div className="text-xs text-gray-300">{slot.class} · {slot.rarity}</div>
-                    </div>
-                  ) : (
-                    <div className="text-xs text-gray-400">Drop
-                      <br />Character
-                    </div>
-                  )}
-                </div>
-              ))}
-            </div>
+  socket.addEventListener("open", () => {
+    queued.forEach((data) => socket.send(data));
+    queued = [];
+    setConnection("open");
+  });
+  socket.addEventListener("message", (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      return;
+    }
+    if (message && message.type === "draft-state" && isPlainObject(message.state)) {
+      state = message.state;
+      notify();
+    }
+  });
+  // an error is followed by close; either way nothing more gets through
+  const onClosed = () => {
+    queued = [];
+    setConnection("closed");
+  };
+  socket.addEventListener("error", onClosed);
+  socket.addEventListener("close", onClosed);
+  post({ type: "draft-sync" });
 
-            <div className="mt-3 text-sm text-gray-300">Tip: drag a character card into a team slot. Use keyboard ← → to browse, Enter to select.</div>
-          </div>
+  return {
+    getState: () => state,
+    getConnection: () => connection,
+    // accepted or not, the answer arrives as the next draft-state
+    send(action) {
+      return post({ type: "draft-action", action }) ? "pending" : false;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      if (state || connection === "closed") fn(state);
+      return () => listeners.delete(fn);
+    },
+    close() {
+      listeners.clear();
+      socket.close();
+    },
+  };
+}
 
-          <div className="bg-white/5 rounded-2xl p-3 backdrop-blur-sm">
-            <h3 className="text-lg font-semibold">Quick Compare</h3>
-            <p className="text-sm text-gray-300">Select two characters to compare side-by-side.</p>
-            <div className="mt-2 flex gap-2">
-              {visibleChars.slice(0, 4).map((c) => (
-                <button
-                  key={c.id}
-                  onClick={() => setPreviewChar(c)}
-                  className="p-2 bg-white/3 rounded w-full text-xs"
-                >
-                  {c.name}
-                </button>
-              ))}
+// Display name of a draft side: the "draftSide.<id>" message, else the side's own `name`.
+function draftSideName(state, id, i18n) {
+  const side = state.sides.find((s) => s.id === id);
+  return i18n.label("draftSide", id, side ? i18n.text(side.name) : id);
+}
+
+// Draft state from `transport`, the time left on the current turn (ms, null without a timer) and the
+// transport's connection ("open" unless it reports one). `onTimeout(state)` runs once per turn at zero.
+function useDraft(transport, onTimeout) {
+  const connectionOf = (t) => (t && t.getConnection ? t.getConnection() : "open");
+  const [state, setState] = useState(() => (transport ? transport.getState() : null));
+  const [connection, setConnection] = useState(() => connectionOf(transport));
+  const [now, setNow] = useState(() => Date.now());
+  const timeoutRef = useRef(onTimeout);
+  // deadline of the last turn timed out; turn indexes repeat after a reset, deadlines do not
+  const expiredDeadline = useRef(null);
+  timeoutRef.current = onTimeout;
+
+  useEffect(() => {
+    if (!transport) {
+      setState(null);
+      return;
+    }
+    setConnection(connectionOf(transport));
+    return transport.subscribe((next) => {
+      setNow(Date.now());
+      setState(next);
+      setConnection(connectionOf(transport));
+    });
+  }, [transport]);
+
+  const running = !!state && state.status === "running";
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const remaining = running && state.deadline ? Math.max(0, state.deadline - now) : null;
+  useEffect(() => {
+    if (remaining !== 0 || expiredDeadline.current === state.deadline) return;
+    expiredDeadline.current = state.deadline;
+    timeoutRef.current(state);
+  }, [remaining, state]);
+
+  return { state, remaining, connection };
+}
+
+function DraftPanel({ state, remaining, connection, localSide, findChar, i18n, onStart, onReset }) {
+  const current = state.status === "running" ? state.turns[state.turn] : null;
+  const sideName = (id) => draftSideName(state, id, i18n);
+  const turnText = current && i18n.t(current.action === "ban" ? "draft.bans" : "draft.picks", { side: sideName(current.side) });
+  // in networked drafts the first side starts and resets
+  const canControl = (!localSide || state.sides[0].id === localSide) && connection !== "closed";
+  const nameOf = (id) => (findChar(id) ? findChar(id).name : id);
+  return (
+    <section className="max-w-7xl mx-auto mb-6 bg-[var(--cs-surface)] rounded-2xl p-4 backdrop-blur-sm" aria-label={i18n.t("draft.title")}>
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="text-lg font-semibold">{i18n.t("draft.title")}</h3>
+        <div className="text-sm text-[color:var(--cs-muted)]" role="status">
+          {state.status === "waiting" && i18n.t("draft.waiting")}
+          {current && (localSide && current.side !== localSide ? i18n.t("draft.opponentTurn", { turn: turnText }) : turnText)}
+          {state.status === "done" && i18n.t("draft.done")}
+          {connection === "connecting" && ` · ${i18n.t("draft.connecting")}`}
+        </div>
+        {current && remaining != null && (
+          <div
+            className="flex items-center gap-2 text-sm tabular-nums"
+            aria-label={i18n.t("draft.secondsLeft", { seconds: Math.ceil(remaining / 1000) })}
+          >
+            <div className="w-24 h-1.5 rounded bg-[var(--cs-surface-strong)] overflow-hidden">
+              <div
+                className={`h-full ${remaining < 5000 ? "bg-[var(--cs-danger)]" : "bg-[var(--cs-accent)]"}`}
+                style={{ width: `${(remaining / (state.turnSeconds * 1000)) * 100}%` }}
+              />
             </div>
+            <span>{i18n.t("draft.seconds", { seconds: Math.ceil(remaining / 1000) })}</span>
           </div>
-        </aside>
-
-        {/* Middle: Carousel / Grid */}
-        <main className="col-span-1 lg:col-span-1">
-          <div className="bg-white/5 rounded-2xl p-3 backdrop-blur-sm">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="text-2xl font-bold">Characters</h2>
-              <div className="text-sm text-gray-300">{visibleChars.length} found</div>
-            </div>
-
-            {/* Horizontal carousel for mobile / grid for desktop */}
-            <div
-              ref={carouselRef}
-              className="overflow-x-auto md:overflow-visible md:h-auto py-2 carousel flex gap-3 md:grid md:grid-cols-2 lg:grid-cols-3"
-            >
-              {visibleChars.map((char) => (
-                <motion.div
-                  id={`card-${char.id}`}
-                  key={char.id}
-                  layout
-                  initial={{ opacity: 0, scale: 0.98 }}
-                  animate={{ opacity: 1, scale: 1 }}
-                  whileHover={{ scale: 1.02 }}
-                  className={`min-w-[200px] md:min-w-0 bg-gradient-to-br from-white/4 to-white/1 p-3 rounded-2xl border border-white/6 relative ${selectedId === char.id ? 'ring-4 ring-indigo-500/50' : ''}`}
-                  draggable
-                  onDragStart={(e) => onDragStart(e, char.id)}
-                >
+        )}
+        {connection === "closed" && (
+          <div className="text-sm text-[color:var(--cs-danger)]" role="alert">{i18n.t("draft.disconnected")}</div>
+        )}
+        <div className="ms-auto flex gap-2">
+          {state.status === "waiting" && canControl && (
+            <button onClick={onStart} className="px-3 py-1 rounded bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)] text-sm font-semibold">
+              {i18n.t("draft.start")}
+            </button>
+          )}
+          {state.status !== "waiting" && canControl && (
+            <button onClick={onReset} className="px-3 py-1 rounded bg-[var(--cs-surface-strong)] text-sm">{i18n.t("draft.reset")}</button>
+          )}
+        </div>
+      </div>
+      <div className="mt-3 grid grid-cols-2 gap-4">
+        {state.sides.map((side) => {
+          const pickTurns = state.turns.filter((t) => t.side === side.id && t.action === "pick").length;
+          const picks = state.picks[side.id] || [];
+          const bans = state.bans.filter((b) => b.side === side.id);
+          const onTurn = current && current.side === side.id;
+          return (
+            <div key={side.id} className={`rounded-lg p-2 ${onTurn ? "ring-2 ring-[color:var(--cs-accent)]" : ""}`}>
+              <div className="text-sm font-semibold">
+                {sideName(side.id)}
+                {localSide === side.id && <span className="ms-1 text-xs text-[color:var(--cs-subtle)]">{i18n.t("draft.you")}</span>}
+              </div>
+              <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                <span className="text-[color:var(--cs-subtle)]">{i18n.t("draft.banList")}</span>
+                {bans.length ? (
+                  bans.map((b) => (
+                    <span key={b.id} className="px-1.5 rounded bg-[var(--cs-surface-strong)] text-[color:var(--cs-danger)] line-through">{nameOf(b.id)}</span>
+                  ))
+                ) : (
+                  <span className="text-[color:var(--cs-subtle)]">—</span>
+                )}
+              </div>
+              <div className="mt-2 grid gap-1" style={{ gridTemplateColumns: `repeat(${Math.max(1, pickTurns)}, minmax(0, 1fr))` }}>
+                {Array.from({ length: pickTurns }, (_, i) => (
                   <div
-                    onMouseEnter={() => { briefOnHover(char); playHoverTone(); }}
-                    onClick={() => { setPreviewChar(char); setPoseIndex(0); }}
-                    className="cursor-pointer"
+                    key={i}
+                    className={`text-xs text-center rounded p-2 truncate ${picks[i] ? "bg-[var(--cs-surface-strong)]" : "bg-[var(--cs-surface)] text-[color:var(--cs-subtle)]"} ${onTurn && current.action === "pick" && i === picks.length ? "ring-1 ring-[color:var(--cs-accent)]" : ""}`}
                   >
-                    <div className="h-40 w-full mb-2 relative">
-                      {/* placeholder svg */}
-                      <CharacterSVG id={char.id} name={char.name} highlighted={selectedId === char.id} />
-                      <div className="absolute top-2 right-2 text-xs bg-black/40 px-2 py-1 rounded">{char.rarity}</div>
-                    </div>
-                    <div className="flex items-center justify-between">
-                      <div>
-                        <div className="text-lg font-semibold">{char.name}</div>
-                        <div className="text-sm text-gray-300">{char.class} · {char.element}</div>
-                      </div>
-                      <div className="text-right">
-                        <div className="text-sm font-semibold">{char.power}</div>
-                        <div className="text-xs text-gray-400">Power</div>
-                      </div>
-                    </div>
-                  </div>
-
-                  <div className="mt-3 flex gap-2">
-                    <button
-                      onClick={() => confirmSelect(char.id)}
-                      className="flex-1 bg-indigo-600/80 hover:bg-indigo-500/90 px-3 py-2 rounded font-semibold text-sm"
-                    >Select</button>
-                    <button
-                      onClick={() => { setPreviewChar(char); }}
-                      className="w-10 h-10 rounded bg-white/3 flex items-center justify-center"
-                      title="Preview"
-                    >
-                      ▶
-                    </button>
+                    {picks[i] ? nameOf(picks[i]) : i18n.t("draft.pickSlot", { slot: i + 1 })}
                   </div>
-                </motion.div>
-              ))}
+                ))}
+              </div>
             </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
 
-          </div>
-        </main>
-
-        {/* Right: Preview & Details */}
-        <aside className="col-span-1 lg:col-span-1">
-          <div className="bg-white/5 rounded-2xl p-4 backdrop-blur-sm h-full flex flex-col">
-            <div className="flex items-start gap-4">
-              <div className="w-2/3">
-                <div className="relative bg-gradient-to-br from-black/50 to-white/2 rounded-lg overflow-hidden">
-                  <div className="absolute inset-0 pointer-events-none opacity-30" style={{ background: `linear-gradient(180deg, rgba(255,255,255,0.02), transparent 30%)` }} />
-                  <div className="p-4">
-                    <div
-                      ref={previewRef}
-                      className="w-full h-64 md:h-80 rounded-lg overflow-hidden flex items-center justify-center"
-                      style={{ perspective: 1200 }}
-                    >
-                      <motion.div
-                        animate={{ rotateY: rotation, scale: zoom }}
-                        transition={{ type: "spring", stiffness: 80, damping: 18 }}
-                        className="w-56 h-72 md:w-72 md:h-96 transform-style-preserve-3d will-change-transform"
-                      >
-                        {/* Simulated 3D card with pose/equipment overlays */}
-                        <div className="relative w-full h-full rounded-lg shadow-2xl overflow-hidden bg-gradient-to-br from-white/10 to-black/10 flex items-start justify-center">
-                          <div className="absolute inset-0 flex items-center justify-center">
-                            <svg viewBox="0 0 200 300" className="w-56 h-72 md:w-72 md:h-96">
-                              <defs>
-                                <radialGradient id="gGlow" cx="50%" cy="30%">
-                                  <stop offset="0%" stopColor="#fff" stopOpacity="0.18" />
-                                  <stop offset="100%" stopColor="#000" stopOpacity="0" />
-                                </radialGradient>
-                              </defs>
-                              <rect x="0" y="0" width="200" height="300" rx="16" fill="url(#gGlow)" />
-
-                              {/* big placeholder character circle */}
-                              <g transform="translate(100,120)">
-                                <circle r="48" fill="#111827" />
-                                <circle r="40" fill={previewChar && (previewChar.id === 'aether' ? '#7C3AED' : previewChar.id === 'talon' ? '#EF4444' : '#16A34A')} opacity="0.95" />
-                              </g>
-
-                              <text x="100" y="270" textAnchor="middle" fontSize="14" fill="#fff">{previewChar.name}</text>
-                            </svg>
-                          </div>
+// 3 for a word-prefix match, 2 for a substring, 1 for an in-order subsequence
+// (only when `loose`), 0 for no match.
+function fuzzyTokenScore(token, text, loose) {
+  const t = text.toLowerCase();
+  const idx = t.indexOf(token);
+  if (idx === 0 || (idx > 0 && /[^a-z0-9]/.test(t[idx - 1]))) return 3;
+  if (idx > 0) return 2;
+  if (!loose) return 0;
+  let pos = 0;
+  for (const ch of token) {
+    pos = t.indexOf(ch, pos);
+    if (pos === -1) return 0;
+    pos += 1;
+  }
+  return 1;
+}
 
-                          {/* equipment highlight badges */}
-                          <div className="absolute bottom-4 left-4 flex gap-2">
-                            <div className="text-xs bg-black/40 px-2 py-1 rounded">Weapon</div>
-                            <div className="text-xs bg-black/40 px-2 py-1 rounded">Armor</div>
-                          </div>
-                        </div>
-                      </motion.div>
-                    </div>
+// Every query token must match the name, an ability name (both typo-tolerant)
+// or an ability description (substring only).
+function matchesSearch(char, query) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return true;
+  const loose = [char.name, ...char.abilities.map((a) => a.name)];
+  const strict = char.abilities.map((a) => a.desc || "");
+  return tokens.every(
+    (token) => loose.some((text) => fuzzyTokenScore(token, text, true)) || strict.some((text) => fuzzyTokenScore(token, text, false))
+  );
+}
+
+// `skip` leaves one facet out, which gives the counts shown next to its options.
+function matchesFilters(char, filters, skip) {
+  if (!matchesSearch(char, filters.query)) return false;
+  if (filters.status === "unlocked" && !char.unlocked) return false;
+  if (filters.status === "locked" && char.unlocked) return false;
+  return FACETS.every(({ key }) => key === skip || !filters[key].length || filters[key].includes(char[key]));
+}
+
+// Options as { value, label, count }; filters match on `value`, `label` is what is shown.
+function facetOptions(characters, filters, key, i18n) {
+  const counts = new Map();
+  characters.forEach((c) => {
+    if (c[key] && !counts.has(c[key])) counts.set(c[key], 0);
+  });
+  characters.forEach((c) => {
+    if (c[key] && matchesFilters(c, filters, key)) counts.set(c[key], counts.get(c[key]) + 1);
+  });
+  const rank = (v) => (key === "rarity" && RARITY_ORDER.includes(v) ? RARITY_ORDER.indexOf(v) : RARITY_ORDER.length);
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, label: i18n.label(key, value), count }))
+    .sort((a, b) => rank(a.value) - rank(b.value) || i18n.compare(a.label, b.label));
+}
+
+// Filter/sort state <-> query string (`q`, one repeated param per facet, `status`, `sort`, `dir`, `then`).
+function readFilterParams(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...EMPTY_FILTERS, query: params.get("q") || "" };
+  FACETS.forEach(({ key }) => {
+    filters[key] = params.getAll(key);
+  });
+  if (["unlocked", "locked"].includes(params.get("status"))) filters.status = params.get("status");
+  const dir = ["asc", "desc"].includes(params.get("dir")) ? params.get("dir") : null;
+  return { filters, sort: { by: params.get("sort"), dir, then: params.get("then") } };
+}
+
+function writeFilterParams(search, filters, sort, defaultSort) {
+  const params = new URLSearchParams(search);
+  ["q", "status", "sort", "dir", "then", ...FACETS.map((f) => f.key)].forEach((k) => params.delete(k));
+  if (filters.query) params.set("q", filters.query);
+  FACETS.forEach(({ key }) => filters[key].forEach((v) => params.append(key, v)));
+  if (filters.status !== "all") params.set("status", filters.status);
+  if (sort.by !== defaultSort) params.set("sort", sort.by);
+  if (sort.dir) params.set("dir", sort.dir);
+  if (sort.then) params.set("then", sort.then);
+  const str = params.toString();
+  return str ? `?${str}` : "";
+}
+
+function FacetGroup({ label, options, selected, onToggle }) {
+  if (!options.length) return null;
+  return (
+    <fieldset className="space-y-1">
+      <legend className="text-xs text-[color:var(--cs-subtle)] mb-1">{label}</legend>
+      <div className="flex flex-wrap gap-1">
+        {options.map(({ value, label: optionLabel, count }) => {
+          const active = selected.includes(value);
+          return (
+            <button
+              key={value}
+              type="button"
+              aria-pressed={active}
+              onClick={() => onToggle(value)}
+              disabled={!count && !active}
+              className={`text-xs px-2 py-1 rounded-full disabled:opacity-40 ${active ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : "bg-[var(--cs-surface)] hover:bg-[var(--cs-surface-strong)]"}`}
+            >
+              {optionLabel} <span className="text-[color:var(--cs-muted)]">{count}</span>
+            </button>
+          );
+        })}
+      </div>
+    </fieldset>
+  );
+}
+
+function sortDirection(sorts, key, dir) {
+  return dir || (sorts[key] && sorts[key].dir) || "asc";
+}
+
+// Sort by `sort.by` in `sort.dir`, then by `sort.then` in its default direction.
+// `compareText` is the locale's string collation, handed to each `compare`.
+function sortCharacters(list, sorts, sort, compareText) {
+  const keys = [[sort.by, sort.dir]];
+  if (sort.then && sort.then !== sort.by) keys.push([sort.then, null]);
+  const comparators = keys
+    .filter(([key]) => sorts[key])
+    .map(([key, dir]) => ({ def: sorts[key], sign: sortDirection(sorts, key, dir) === "desc" ? -1 : 1 }));
+  return [...list].sort((a, b) => {
+    for (const { def, sign } of comparators) {
+      const missingA = def.missing ? def.missing(a) : false;
+      const missingB = def.missing ? def.missing(b) : false;
+      if (missingA !== missingB) return missingA ? 1 : -1;
+      if (missingA) continue;
+      const result = def.compare(a, b, compareText);
+      if (result) return result * sign;
+    }
+    return 0;
+  });
+}
+
+function useMediaQuery(query) {
+  const read = () => typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia(query).matches;
+  const [matches, setMatches] = useState(read);
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+    const mql = window.matchMedia(query);
+    const onChange = () => setMatches(mql.matches);
+    onChange();
+    if (mql.addEventListener) mql.addEventListener("change", onChange);
+    else mql.addListener(onChange);
+    return () => {
+      if (mql.removeEventListener) mql.removeEventListener("change", onChange);
+      else mql.removeListener(onChange);
+    };
+  }, [query]);
+  return matches;
+}
+
+/**
+ * Windowing for the card list: which items to mount for the current scroll position.
+ * Items are laid out in `columns` per line along the scroll axis (one line per card for
+ * the horizontal carousel). The line size is measured from the first mounted card.
+ * Returns { start, end, before, after, lineSize } — `before`/`after` are spacer lengths.
+ */
+function useWindowedRange(ref, { count, columns, horizontal, estimate }) {
+  const [viewport, setViewport] = useState({ offset: 0, size: 0 });
+  const [lineSize, setLineSize] = useState(estimate);
+
+  useEffect(() => {
+    setLineSize(estimate);
+  }, [horizontal]);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    let frame = 0;
+    const measure = () => {
+      frame = 0;
+      // right-to-left containers report a negative scrollLeft
+      const next = horizontal
+        ? { offset: Math.abs(el.scrollLeft), size: el.clientWidth }
+        : { offset: el.scrollTop, size: el.clientHeight };
+      setViewport((v) => (v.offset === next.offset && v.size === next.size ? v : next));
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(measure);
+    };
+    measure();
+    el.addEventListener("scroll", schedule, { passive: true });
+    const observer = typeof ResizeObserver !== "undefined" ? new ResizeObserver(schedule) : null;
+    if (observer) observer.observe(el);
+    return () => {
+      el.removeEventListener("scroll", schedule);
+      if (observer) observer.disconnect();
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [ref, horizontal]);
+
+  // measure the real card size once one is mounted
+  useEffect(() => {
+    const card = ref.current && ref.current.querySelector("[role=gridcell]");
+    if (!card) return;
+    const size = (horizontal ? card.offsetWidth : card.offsetHeight) + CARD_GAP;
+    if (size > CARD_GAP && size !== lineSize) setLineSize(size);
+  });
+
+  const lines = Math.ceil(count / columns);
+  const size = viewport.size || lineSize * 4;
+  const first = Math.max(0, Math.floor(viewport.offset / lineSize) - WINDOW_OVERSCAN);
+  const last = Math.min(lines - 1, Math.ceil((viewport.offset + size) / lineSize) + WINDOW_OVERSCAN);
+  return {
+    start: first * columns,
+    end: Math.min(count, (last + 1) * columns),
+    before: first * lineSize,
+    after: Math.max(0, (lines - last - 1) * lineSize),
+    lineSize,
+    viewportSize: size,
+  };
+}
+
+// Asset for a skin/pose: `resolver` first, then assets[skin][pose], the skin's
+// `default` entry and finally `art`. Returns { src, frame } (frame null for plain images) or null.
+function resolveCharacterAsset(char, skin, pose, resolver) {
+  const forSkin = char.assets && char.assets[skin];
+  const raw = (resolver && resolver(char, skin, pose)) || (forSkin && (forSkin[pose] || forSkin.default)) || char.art;
+  return normalizeAsset(raw);
+}
+
+function normalizeAsset(raw) {
+  if (!raw) return null;
+  if (typeof raw === "string") return { src: raw, frame: null };
+  const { src, frameWidth, frameHeight, frame = 0, columns = 1, rows = 1 } = raw;
+  return {
+    src,
+    frame: {
+      x: (frame % columns) * frameWidth,
+      y: Math.floor(frame / columns) * frameHeight,
+      width: frameWidth,
+      height: frameHeight,
+      sheetWidth: columns * frameWidth,
+      sheetHeight: rows * frameHeight,
+    },
+  };
+}
+
+// Shared image loader: one request per URL, remembered for the session.
+const imageRequests = new Map();
+const loadedImages = new Set();
+
+function loadImage(src) {
+  if (!imageRequests.has(src)) {
+    imageRequests.set(
+      src,
+      new Promise((resolve, reject) => {
+        const img = new Image();
+        img.decoding = "async";
+        img.onload = () => {
+          loadedImages.add(src);
+          resolve(img);
+        };
+        img.onerror = () => {
+          imageRequests.delete(src);
+          reject(new Error(`Failed to load ${src}`));
+        };
+        img.src = src;
+      })
+    );
+  }
+  return imageRequests.get(src);
+}
+
+// "idle" | "loading" | "loaded" | "error" for an image URL, starting the load on first use.
+function useImageStatus(src) {
+  const [state, setState] = useState({ src: null, status: "idle" });
+  useEffect(() => {
+    if (!src || loadedImages.has(src)) return;
+    let cancelled = false;
+    loadImage(src).then(
+      () => !cancelled && setState({ src, status: "loaded" }),
+      () => !cancelled && setState({ src, status: "error" })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+  if (!src) return "idle";
+  if (loadedImages.has(src)) return "loaded";
+  return state.src === src ? state.status : "loading";
+}
+
+// Draws an asset into an SVG box; sprite frames are cropped with a nested viewBox.
+function AssetImage({ asset, x, y, width, height }) {
+  if (!asset.frame) {
+    return <image href={asset.src} x={x} y={y} width={width} height={height} preserveAspectRatio="xMidYMid meet" />;
+  }
+  const f = asset.frame;
+  return (
+    <svg x={x} y={y} width={width} height={height} viewBox={`${f.x} ${f.y} ${f.width} ${f.height}`} preserveAspectRatio="xMidYMid meet">
+      <image href={asset.src} width={f.sheetWidth} height={f.sheetHeight} />
+    </svg>
+  );
+}
+
+// Preview art for the chosen skin/pose, with the placeholder figure while it loads.
+function PreviewArt({ char, asset }) {
+  const status = useImageStatus(asset && asset.src);
+  if (asset && status === "loaded") return <AssetImage asset={asset} x={10} y={10} width={180} height={240} />;
+  return (
+    /* big placeholder character circle */
+    <g transform="translate(100,120)">
+      <circle r="48" fill="#111827" />
+      <circle r="40" fill={char ? char.colors[0] : "#374151"} opacity="0.95">
+        {status === "loading" && <animate attributeName="opacity" values="0.95;0.4;0.95" dur="1.2s" repeatCount="indefinite" />}
+      </circle>
+    </g>
+  );
+}
+
+// Theme presets. Their colours are exposed as CSS variables on the selector root (themeVars),
+// which the markup uses through classes like bg-[var(--cs-surface)].
+export const darkTheme = {
+  colors: {
+    background: "linear-gradient(135deg, #111827, #1f2937 50%, #000000)",
+    text: "#ffffff",
+    muted: "#d1d5db",
+    subtle: "#9ca3af",
+    surface: "rgba(255, 255, 255, 0.05)",
+    surfaceStrong: "rgba(255, 255, 255, 0.1)",
+    raised: "#111827",
+    border: "rgba(255, 255, 255, 0.08)",
+    accent: "rgba(79, 70, 229, 0.85)",
+    accentSoft: "#a5b4fc",
+    onAccent: "#ffffff",
+    positive: "#4ade80",
+    danger: "#fca5a5",
+    warning: "#fcd34d",
+  },
+  rarity: { Common: "#9ca3af", Rare: "#60a5fa", Epic: "#c084fc", Legendary: "#fbbf24" },
+  element: { Void: "#a78bfa", Wind: "#34d399", Earth: "#f59e0b", Fire: "#f87171", Water: "#38bdf8", Light: "#fde68a" },
+};
+
+export const lightTheme = {
+  colors: {
+    background: "linear-gradient(135deg, #f8fafc, #eef2ff 50%, #e2e8f0)",
+    text: "#0f172a",
+    muted: "#334155",
+    subtle: "#64748b",
+    surface: "rgba(15, 23, 42, 0.04)",
+    surfaceStrong: "rgba(15, 23, 42, 0.09)",
+    raised: "#ffffff",
+    border: "rgba(15, 23, 42, 0.12)",
+    accent: "#4f46e5",
+    accentSoft: "#4338ca",
+    onAccent: "#ffffff",
+    positive: "#16a34a",
+    danger: "#dc2626",
+    warning: "#b45309",
+  },
+  rarity: { Common: "#6b7280", Rare: "#2563eb", Epic: "#9333ea", Legendary: "#d97706" },
+  element: { Void: "#7c3aed", Wind: "#059669", Earth: "#b45309", Fire: "#dc2626", Water: "#0284c7", Light: "#ca8a04" },
+};
+
+const THEME_PRESETS = { dark: darkTheme, light: lightTheme };
+
+function resolveTheme(theme, prefersLight) {
+  if (theme === "system") return prefersLight ? lightTheme : darkTheme;
+  if (typeof theme === "string" || !theme) return THEME_PRESETS[theme] || darkTheme;
+  const base = THEME_PRESETS[theme.base] || darkTheme;
+  return {
+    colors: { ...base.colors, ...theme.colors },
+    rarity: { ...base.rarity, ...theme.rarity },
+    element: { ...base.element, ...theme.element },
+  };
+}
+
+const tokenName = (key) =>
+  String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+
+// { "--cs-surface": ..., "--cs-rarity-legendary": ..., "--cs-element-void": ... }
+function themeVars(theme) {
+  const vars = {};
+  Object.entries(theme.colors).forEach(([k, v]) => {
+    vars[`--cs-${tokenName(k)}`] = v;
+  });
+  Object.entries(theme.rarity).forEach(([k, v]) => {
+    vars[`--cs-rarity-${tokenName(k)}`] = v;
+  });
+  Object.entries(theme.element).forEach(([k, v]) => {
+    vars[`--cs-element-${tokenName(k)}`] = v;
+  });
+  return vars;
+}
+
+// Unknown rarities/elements fall back to neutral tokens.
+const rarityColor = (rarity) => `var(--cs-rarity-${tokenName(rarity)}, var(--cs-subtle))`;
+const elementColor = (element) => `var(--cs-element-${tokenName(element)}, var(--cs-muted))`;
+
+// Turntable frames for a skin as a list of assets (index 0 faces the viewer), or null.
+function resolveTurntable(char, skin, resolver) {
+  const raw =
+    (resolver && resolver(char, skin, "turntable")) || (char.turntable && (char.turntable[skin] || char.turntable.default));
+  if (!raw) return null;
+  if (Array.isArray(raw)) return raw.length ? raw.map(normalizeAsset) : null;
+  if (typeof raw === "string") return null;
+  const count = raw.frames || (raw.columns || 1) * (raw.rows || 1);
+  return Array.from({ length: count }, (_, frame) => normalizeAsset({ ...raw, frame }));
+}
+
+// Drag sensitivity, inertia (velocity decay per ms, stop threshold in deg/ms),
+// auto-rotate speed and zoom range shared by all preview renderers.
+const DRAG_DEG_PER_PX = 0.3;
+const INERTIA_DECAY = 0.994;
+const INERTIA_MIN_VELOCITY = 0.01;
+const AUTO_ROTATE_DEG_PER_SEC = 30;
+const ZOOM_RANGE = [0.6, 2.2];
+
+// Touch gesture timings (ms) and how far a finger may drift before a tap stops being a tap (px).
+const DOUBLE_TAP_MS = 300;
+const TAP_MS = 250;
+const LONG_PRESS_MS = 500;
+const TAP_SLOP_PX = 10;
+
+const clampZoom = (z) => Math.min(ZOOM_RANGE[1], Math.max(ZOOM_RANGE[0], z));
+
+/**
+ * Rotation/zoom state for the preview stage: drag to rotate with inertia, snapping to
+ * `snapStep` degrees when the motion ends, wheel or pinch to zoom, two-finger twist to
+ * rotate, double-tap to reset, and an auto-rotate loop.
+ */
+function useTurntable(ref, { snapStep, inertia = true }) {
+  const [rotation, setRotationState] = useState(0);
+  const [zoom, setZoomState] = useState(1);
+  const [autoRotate, setAutoRotate] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const rotationRef = useRef(0);
+  const snapRef = useRef(snapStep);
+  const coastFrame = useRef(0);
+  const inertiaRef = useRef(inertia);
+  snapRef.current = snapStep;
+  inertiaRef.current = inertia;
+
+  const setRotation = useCallback((r) => {
+    rotationRef.current = r;
+    setRotationState(r);
+  }, []);
+  const zoomRef = useRef(1);
+  const setZoom = useCallback((z) => {
+    zoomRef.current = clampZoom(typeof z === "function" ? z(zoomRef.current) : z);
+    setZoomState(zoomRef.current);
+  }, []);
+
+  const snap = useCallback(() => {
+    const step = snapRef.current;
+    if (step) setRotation(Math.round(rotationRef.current / step) * step);
+  }, [setRotation]);
+
+  const stopCoasting = useCallback(() => {
+    if (coastFrame.current) cancelAnimationFrame(coastFrame.current);
+    coastFrame.current = 0;
+  }, []);
+
+  const reset = useCallback(() => {
+    stopCoasting();
+    setAutoRotate(false);
+    setRotation(0);
+    setZoom(1);
+  }, []);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    // pointers currently down on the stage, by pointerId
+    const pointers = new Map();
+    let pinch = null;
+    let active = false;
+    let lastX = 0;
+    let lastT = 0;
+    let velocity = 0;
+    let press = null;
+    let lastTap = null;
+
+    function pinchMetrics() {
+      const [a, b] = [...pointers.values()];
+      return { distance: Math.hypot(b.x - a.x, b.y - a.y), angle: (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI };
+    }
+
+    function coast(v) {
+      let last = performance.now();
+      const tick = (now) => {
+        const dt = now - last;
+        last = now;
+        v *= Math.pow(INERTIA_DECAY, dt);
+        setRotation(rotationRef.current + v * dt);
+        if (Math.abs(v) > INERTIA_MIN_VELOCITY) {
+          coastFrame.current = requestAnimationFrame(tick);
+        } else {
+          coastFrame.current = 0;
+          snap();
+        }
+      };
+      coastFrame.current = requestAnimationFrame(tick);
+    }
+
+    function onPointerDown(e) {
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      stopCoasting();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      setDragging(true);
+      if (pointers.size === 2) {
+        // second finger: switch from dragging to pinch/twist
+        active = false;
+        press = null;
+        pinch = { ...pinchMetrics(), rotation: rotationRef.current, zoom: zoomRef.current };
+        return;
+      }
+      if (pointers.size > 2) return;
+      active = true;
+      lastX = e.clientX;
+      lastT = performance.now();
+      velocity = 0;
+      press = { x: e.clientX, y: e.clientY, t: lastT };
+    }
+    function onPointerMove(e) {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pinch) {
+        if (pointers.size !== 2) return;
+        const { distance, angle } = pinchMetrics();
+        // keep the twist continuous across the ±180° seam
+        const twist = ((angle - pinch.angle + 540) % 360) - 180;
+        setZoom(pinch.zoom * (distance / Math.max(1, pinch.distance)));
+        setRotation(pinch.rotation + twist);
+        return;
+      }
+      if (!active) return;
+      if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > TAP_SLOP_PX) press = null;
+      const now = performance.now();
+      const delta = (e.clientX - lastX) * DRAG_DEG_PER_PX;
+      const dt = Math.max(1, now - lastT);
+      velocity = velocity * 0.5 + (delta / dt) * 0.5;
+      lastX = e.clientX;
+      lastT = now;
+      setRotation(rotationRef.current + delta);
+    }
+    function onPointerUp(e) {
+      if (!pointers.delete(e.pointerId)) return;
+      if (pinch) {
+        // lifting one finger ends the pinch; the other does not resume dragging
+        if (pointers.size < 2) pinch = null;
+        if (!pointers.size) {
+          setDragging(false);
+          snap();
+        }
+        return;
+      }
+      if (!active) return;
+      active = false;
+      setDragging(false);
+      const now = performance.now();
+      if (press && now - press.t < TAP_MS) {
+        const isDoubleTap =
+          lastTap && now - lastTap.t < DOUBLE_TAP_MS && Math.hypot(press.x - lastTap.x, press.y - lastTap.y) < TAP_SLOP_PX * 3;
+        lastTap = isDoubleTap ? null : { ...press, t: now };
+        press = null;
+        if (isDoubleTap) {
+          reset();
+          return;
+        }
+      }
+      // a pause before release means no fling
+      if (inertiaRef.current && now - lastT < 80 && Math.abs(velocity) > INERTIA_MIN_VELOCITY) coast(velocity);
+      else snap();
+    }
+    function onWheel(e) {
+      e.preventDefault();
+      setZoom((z) => z - e.deltaY * 0.001);
+    }
+    el.addEventListener("pointerdown", onPointerDown);
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerup", onPointerUp);
+    window.addEventListener("pointercancel", onPointerUp);
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => {
+      el.removeEventListener("pointerdown", onPointerDown);
+      window.removeEventListener("pointermove", onPointerMove);
+      window.removeEventListener("pointerup", onPointerUp);
+      window.removeEventListener("pointercancel", onPointerUp);
+      el.removeEventListener("wheel", onWheel);
+      stopCoasting();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!autoRotate || dragging) return;
+    stopCoasting();
+    let last = performance.now();
+    let frame = requestAnimationFrame(function tick(now) {
+      setRotation(rotationRef.current + (AUTO_ROTATE_DEG_PER_SEC * (now - last)) / 1000);
+      last = now;
+      frame = requestAnimationFrame(tick);
+    });
+    return () => {
+      cancelAnimationFrame(frame);
+      snap();
+    };
+  }, [autoRotate, dragging]);
+
+  return { rotation, zoom, dragging, autoRotate, setAutoRotate, setRotation, setZoom, reset };
+}
+
+// Fallback renderer: the placeholder/asset art on a card tilted with CSS 3D transforms.
+function CssCardPreview({ character, asset, rotation, zoom, dragging }) {
+  return (
+    <motion.div
+      animate={{ rotateY: rotation, scale: zoom }}
+      transition={dragging ? { duration: 0 } : { type: "spring", stiffness: 80, damping: 18 }}
+      className="w-56 h-72 md:w-72 md:h-96 transform-style-preserve-3d will-change-transform"
+    >
+      {/* Simulated 3D card with pose overlays */}
+      <div className="relative w-full h-full rounded-lg shadow-2xl overflow-hidden bg-gradient-to-br from-white/10 to-black/10 flex items-start justify-center">
+        <div className="absolute inset-0 flex items-center justify-center">
+          <svg viewBox="0 0 200 300" className="w-56 h-72 md:w-72 md:h-96">
+            <defs>
+              <radialGradient id="gGlow" cx="50%" cy="30%">
+                <stop offset="0%" stopColor="#fff" stopOpacity="0.18" />
+                <stop offset="100%" stopColor="#000" stopOpacity="0" />
+              </radialGradient>
+            </defs>
+            <rect x="0" y="0" width="200" height="300" rx="16" fill="url(#gGlow)" />
+
+            <PreviewArt char={character} asset={asset} />
+
+            <text x="100" y="270" textAnchor="middle" fontSize="14" fill="currentColor">{character ? character.name : ""}</text>
+          </svg>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+// Multi-angle renderer: rotation picks the nearest turntable frame.
+function TurntablePreview({ character, skin, resolveAsset, i18n, rotation, zoom }) {
+  const frames = useMemo(() => resolveTurntable(character, skin, resolveAsset) || [], [character, skin, resolveAsset]);
+  const step = 360 / Math.max(1, frames.length);
+  const index = frames.length ? (((Math.round(rotation / step) % frames.length) + frames.length) % frames.length) : 0;
+
+  // load the remaining angles once the turntable is shown
+  useEffect(() => {
+    frames.forEach((frame) => loadImage(frame.src).catch(() => {}));
+  }, [frames]);
+
+  return (
+    <div className="w-56 h-72 md:w-72 md:h-96" style={{ transform: `scale(${zoom})` }}>
+      <svg
+        viewBox="0 0 200 300"
+        className="w-full h-full"
+        aria-label={character ? i18n.t("preview.angle", { name: character.name, index: index + 1, count: frames.length }) : undefined}
+      >
+        <PreviewArt char={character} asset={frames[index]} />
+        <text x="100" y="290" textAnchor="middle" fontSize="14" fill="currentColor">{character ? character.name : ""}</text>
+      </svg>
+    </div>
+  );
+}
+
+// Canvas renderer: draws the current art with a horizontal squash for rotation.
+function CanvasPreview({ character, asset, i18n, rotation, zoom }) {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    setImage(null);
+    if (!asset) return;
+    let cancelled = false;
+    loadImage(asset.src).then(
+      (img) => !cancelled && setImage(img),
+      () => {}
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [asset && asset.src]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext && canvas.getContext("2d");
+    if (!ctx) return;
+    const { width, height } = canvas;
+    const turn = Math.cos((rotation * Math.PI) / 180);
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(zoom * turn, zoom);
+    // the back side is drawn dimmed
+    ctx.globalAlpha = turn < 0 ? 0.6 : 1;
+    if (image) {
+      const f = asset.frame || { x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight };
+      const fit = Math.min((width * 0.9) / f.width, (height * 0.8) / f.height);
+      ctx.drawImage(image, f.x, f.y, f.width, f.height, (-f.width * fit) / 2, (-f.height * fit) / 2, f.width * fit, f.height * fit);
+    } else {
+      ctx.fillStyle = "#111827";
+      ctx.beginPath();
+      ctx.arc(0, -20, 48, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = character ? character.colors[0] : "#374151";
+      ctx.beginPath();
+      ctx.arc(0, -20, 40, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }, [image, asset, character, rotation, zoom]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={288}
+      height={384}
+      className="w-56 h-72 md:w-72 md:h-96"
+      role="img"
+      aria-label={character ? character.name : i18n.t("preview.character")}
+    />
+  );
+}
+
+export const turntableRenderer = {
+  id: "turntable",
+  label: "Turntable",
+  supports: ({ character, skin, resolveAsset }) => !!(character && resolveTurntable(character, skin, resolveAsset)),
+  snapStep: ({ character, skin, resolveAsset }) => 360 / resolveTurntable(character, skin, resolveAsset).length,
+  Component: TurntablePreview,
+};
+
+export const canvasRenderer = {
+  id: "canvas",
+  label: "Canvas",
+  supports: () => typeof document !== "undefined" && typeof document.createElement("canvas").getContext === "function",
+  Component: CanvasPreview,
+};
+
+export const cssCardRenderer = {
+  id: "css-card",
+  label: "Card",
+  supports: () => true,
+  Component: CssCardPreview,
+};
+
+const DEFAULT_RENDERERS = [turntableRenderer, cssCardRenderer];
+
+// Preview area: picks the renderer, owns rotation/zoom and the shared controls.
+// `children` are overlaid on the stage (e.g. equipment badges).
+function PreviewStage({ renderers, context, children }) {
+  const renderer = renderers.find((r) => !r.supports || r.supports(context)) || cssCardRenderer;
+  const snapStep = renderer.snapStep ? renderer.snapStep(context) : null;
+  const stageRef = useRef(null);
+  // no coasting after a fling when motion is reduced
+  const reduceMotion = useReducedMotionConfig();
+  const turntable = useTurntable(stageRef, { snapStep, inertia: !reduceMotion });
+  const { rotation, zoom, dragging, autoRotate, setAutoRotate, setZoom, reset } = turntable;
+  const Renderer = renderer.Component;
+  const { t } = context.i18n;
+
+  return (
+    <div>
+      <div
+        ref={stageRef}
+        className={`relative w-full h-64 md:h-80 rounded-lg overflow-hidden flex items-center justify-center select-none ${dragging ? "cursor-grabbing" : "cursor-grab"}`}
+        style={{ perspective: 1200, touchAction: "none" }}
+        data-renderer={renderer.id}
+      >
+        <Renderer {...context} rotation={rotation} zoom={zoom} dragging={dragging} autoRotate={autoRotate} />
+        {children}
+      </div>
+      <div className="mt-2 flex items-center gap-1 text-xs">
+        <button onClick={() => setZoom((z) => z - 0.2)} className="px-2 py-1 rounded bg-[var(--cs-surface)]" aria-label={t("preview.zoomOut")}>−</button>
+        <button onClick={() => setZoom((z) => z + 0.2)} className="px-2 py-1 rounded bg-[var(--cs-surface)]" aria-label={t("preview.zoomIn")}>+</button>
+        <button onClick={reset} className="px-2 py-1 rounded bg-[var(--cs-surface)]" aria-label={t("preview.reset")} title={t("preview.resetHint")}>⟲</button>
+        <button
+          onClick={() => setAutoRotate((a) => !a)}
+          aria-pressed={autoRotate}
+          className={`px-2 py-1 rounded ${autoRotate ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : "bg-[var(--cs-surface)]"}`}
+        >
+          {t("preview.autoRotate")}
+        </button>
+        <span className="ms-auto text-[color:var(--cs-subtle)] tabular-nums">{Math.round(zoom * 100)}%</span>
+      </div>
+    </div>
+  );
+}
+
+// UI rendering helpers: inline placeholder SVGs for characters
+const CharacterSVG = memo(function CharacterSVG({ char, highlighted }) {
+  const { id, name } = char;
+  const c = char.colors || DEFAULT_COLORS;
+  const portrait = useImageStatus(char.portrait) === "loaded" ? char.portrait : null;
+  return (
+    <svg viewBox="0 0 160 240" className="w-full h-full">
+      <defs>
+        <linearGradient id={`g-${id}`} x1="0" x2="1">
+          <stop offset="0" stopColor={c[0]} />
+          <stop offset="1" stopColor={c[1]} />
+        </linearGradient>
+      </defs>
+      <rect x="0" y="0" width="160" height="240" rx="14" fill={`url(#g-${id})`} opacity="0.12" />
+      {portrait ? (
+        <image href={portrait} x="8" y="8" width="144" height="196" preserveAspectRatio="xMidYMid slice" />
+      ) : (
+        <g transform="translate(80,120)">
+          <circle cx="0" cy="-20" r="34" fill={c[0]} opacity="0.95" />
+          <rect x="-28" y="20" width="56" height="80" rx="8" fill={c[1]} opacity="0.95" />
+        </g>
+      )}
+      {highlighted && <circle cx="116" cy="64" r="8" fill="#FFD54F" />}
+      <text x="80" y="220" textAnchor="middle" fontSize="12" fill="currentColor" opacity="0.95">{name}</text>
+    </svg>
+  );
+});
+
+// Touch long-press: calls `onLongPress` after LONG_PRESS_MS unless the finger moves or lifts.
+// `state.current.fired` stays set until the next press so the trailing click can be ignored.
+function useLongPress(onLongPress) {
+  const state = useRef({ timer: 0, x: 0, y: 0, fired: false, touch: false });
+  const callback = useRef(onLongPress);
+  callback.current = onLongPress;
+  useEffect(() => () => clearTimeout(state.current.timer), []);
+
+  const handlers = useMemo(() => {
+    const cancel = () => clearTimeout(state.current.timer);
+    return {
+      onPointerDown(e) {
+        const s = state.current;
+        cancel();
+        s.touch = e.pointerType === "touch";
+        s.fired = false;
+        if (!s.touch) return;
+        s.x = e.clientX;
+        s.y = e.clientY;
+        s.timer = setTimeout(() => {
+          s.fired = true;
+          callback.current();
+        }, LONG_PRESS_MS);
+      },
+      onPointerMove(e) {
+        const s = state.current;
+        if (Math.hypot(e.clientX - s.x, e.clientY - s.y) > TAP_SLOP_PX) cancel();
+      },
+      onPointerUp: cancel,
+      onPointerCancel: cancel,
+    };
+  }, []);
+
+  return { handlers, state };
+}
+
+// One roster card. `actions` is a stable object, so a card only re-renders when
+// its own character or flags change.
+// `unavailable` is a short reason (e.g. "Banned") while a draft has taken the character;
+// `confirmLabel` names the Select button's action.
+const CharacterCard = memo(function CharacterCard({
+  char,
+  colIndex,
+  selected,
+  active,
+  pinned,
+  unavailable = null,
+  confirmLabel,
+  i18n,
+  actions,
+}) {
+  const longPress = useLongPress(() => actions.longPress(char.id));
+  const locked = !char.unlocked;
+  const blocked = locked || !!unavailable;
+  const requirements = locked ? describeUnlock(char.unlock, i18n) : [];
+  const classLabel = i18n.label("class", char.class);
+  const rarityLabel = i18n.label("rarity", char.rarity);
+  return (
+    <motion.div
+      id={`card-${char.id}`}
+      role="gridcell"
+      aria-colindex={colIndex}
+      aria-selected={selected}
+      aria-label={[char.name, classLabel, rarityLabel, locked && i18n.t("card.lockedState"), unavailable].filter(Boolean).join(", ")}
+      tabIndex={active ? 0 : -1}
+      onFocus={(e) => {
+        if (e.target === e.currentTarget) actions.focus(char);
+      }}
+      onContextMenu={(e) => {
+        e.preventDefault();
+        // touch browsers raise contextmenu for a long press, which opens the slot picker instead
+        if (!longPress.state.current.touch) actions.togglePin(char.id);
+      }}
+      onClickCapture={(e) => {
+        if (!longPress.state.current.fired) return;
+        longPress.state.current.fired = false;
+        e.stopPropagation();
+      }}
+      {...longPress.handlers}
+      initial={{ opacity: 0, scale: 0.98 }}
+      animate={{ opacity: 1, scale: 1 }}
+      whileHover={{ scale: 1.02 }}
+      className="min-w-[200px] md:min-w-0 snap-center bg-[var(--cs-surface)] p-3 rounded-2xl border relative select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-[color:var(--cs-text)]"
+      style={{
+        WebkitTouchCallout: "none",
+        borderColor: blocked ? "var(--cs-border)" : rarityColor(char.rarity),
+        // rarity glow; selection adds an accent ring
+        boxShadow: blocked
+          ? "none"
+          : `${selected ? "0 0 0 4px var(--cs-accent), " : ""}0 0 ${selected ? 28 : 16}px -6px ${rarityColor(char.rarity)}`,
+      }}
+      title={locked && requirements.length ? i18n.t("card.lockedTitle", { requirements: requirements.join(", ") }) : undefined}
+      draggable={!blocked}
+      onDragStart={(e) => actions.dragStart(e, char.id)}
+    >
+      <div
+        onMouseEnter={() => actions.hover(char)}
+        onMouseLeave={actions.hoverEnd}
+        onClick={() => actions.preview(char)}
+        className="cursor-pointer"
+      >
+        <div className="h-40 w-full mb-2 relative">
+          {/* placeholder svg */}
+          <div className={`h-full ${blocked ? "grayscale opacity-50" : ""}`}>
+            <CharacterSVG char={char} highlighted={selected} />
+          </div>
+          <div className="absolute top-2 end-2 text-xs bg-black/60 px-2 py-1 rounded font-semibold" style={{ color: rarityColor(char.rarity) }}>
+            {rarityLabel}
+          </div>
+          {unavailable ? (
+            <div className="absolute top-2 start-2 text-xs text-[color:var(--cs-danger)] bg-[var(--cs-raised)] px-2 py-1 rounded">{unavailable}</div>
+          ) : (
+            locked && (
+              <div className="absolute top-2 start-2 text-xs text-white bg-black/60 px-2 py-1 rounded flex items-center gap-1">
+                <span aria-hidden="true">🔒</span> {i18n.t("card.locked")}
+              </div>
+            )
+          )}
+          {locked && requirements.length > 0 && (
+            <div className="absolute bottom-1 inset-x-2 text-[11px] text-gray-200 bg-black/50 rounded px-2 py-1 truncate">
+              {requirements.join(" · ")}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-lg font-semibold">{char.name}</div>
+            <div className="text-sm text-[color:var(--cs-muted)]">
+              {classLabel} · <span style={{ color: elementColor(char.element) }}>{i18n.label("element", char.element)}</span>
+            </div>
+          </div>
+          <div className="text-end">
+            <div className="text-sm font-semibold">{char.power}</div>
+            <div className="text-xs text-[color:var(--cs-subtle)]">{i18n.t("field.power")}</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-3 flex gap-2">
+        <button
+          onClick={() => actions.confirm(char.id)}
+          tabIndex={-1}
+          aria-disabled={blocked}
+          className={`flex-1 px-3 py-2 rounded font-semibold text-sm ${blocked ? "bg-[var(--cs-surface-strong)] text-[color:var(--cs-muted)]" : "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)] hover:brightness-110"}`}
+        >{unavailable || (locked ? `🔒 ${i18n.t("card.locked")}` : confirmLabel || i18n.t("card.select"))}</button>
+        <button
+          onClick={() => actions.preview(char)}
+          tabIndex={-1}
+          className="w-10 h-10 rounded bg-[var(--cs-surface)] flex items-center justify-center"
+          title={i18n.t("card.preview")}
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => actions.togglePin(char.id)}
+          tabIndex={-1}
+          aria-pressed={pinned}
+          className={`w-10 h-10 rounded flex items-center justify-center ${pinned ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : "bg-[var(--cs-surface)]"}`}
+          title={i18n.t("card.pin")}
+        >
+          ⇄
+        </button>
+      </div>
+    </motion.div>
+  );
+});
+
+// State that the host may control through `value`; falls back to internal state
+// when `value` is undefined. `onChange` fires for every change either way.
+function useControllableState(value, defaultValue, onChange) {
+  const controlled = value !== undefined;
+  const [inner, setInner] = useState(defaultValue);
+  const current = controlled ? value : inner;
+  const currentRef = useRef(current);
+  const onChangeRef = useRef(onChange);
+  currentRef.current = current;
+  onChangeRef.current = onChange;
+
+  const setValue = useCallback(
+    (next) => {
+      const resolved = typeof next === "function" ? next(currentRef.current) : next;
+      if (Object.is(resolved, currentRef.current)) return;
+      // let successive updates in the same tick build on each other
+      currentRef.current = resolved;
+      if (!controlled) setInner(resolved);
+      if (onChangeRef.current) onChangeRef.current(resolved);
+    },
+    [controlled]
+  );
+  return [current, setValue];
+}
+
+const CharacterSelector = forwardRef(function CharacterSelector(
+  {
+    characters: rosterProp,
+    loader,
+    onRosterIssues,
+    selectedId: selectedIdProp,
+    defaultSelectedId = null,
+    onSelect,
+    onConfirm,
+    team: teamProp,
+    defaultTeam,
+    onTeamChange,
+    teamRules,
+    synergies = SAMPLE_SYNERGIES,
+    onTeamReject,
+    presetStorage,
+    importTeamFromUrl = true,
+    preview: previewProp,
+    defaultPreview = null,
+    onPreviewChange,
+    resolveAsset,
+    renderers = DEFAULT_RENDERERS,
+    maxCompare = 4,
+    keyBindings,
+    syncFiltersToUrl = true,
+    sortDefinitions,
+    sounds,
+    audioEngine,
+    onUnlockRequest,
+    onUnlock,
+    equipment = SAMPLE_EQUIPMENT,
+    draft,
+    theme = "dark",
+    reducedMotion = "user",
+    locale = "en",
+    messages,
+    dir,
+  } = {},
+  ref
+) {
+  const { status: rosterStatus, characters: rosterCharacters, issues: rosterIssues, error: rosterError, reload } = useRoster({
+    characters: rosterProp,
+    loader,
+  });
+  const i18n = useMemo(() => createI18n(locale, messages), [locale, messages]);
+  const { t } = i18n;
+  const rtl = (dir || i18n.dir) === "rtl";
+  // characters unlocked through onUnlockRequest during this session; text resolved for the locale
+  const [unlockedIds, setUnlockedIds] = useState(() => new Set());
+  const characters = useMemo(
+    () =>
+      rosterCharacters.map((c) => localizeCharacter(!c.unlocked && unlockedIds.has(c.id) ? { ...c, unlocked: true } : c, i18n)),
+    [rosterCharacters, unlockedIds, i18n]
+  );
+  const charById = useMemo(() => new Map(characters.map((c) => [c.id, c])), [characters]);
+  const findChar = (id) => charById.get(id) || null;
+  // chosen skin per character id; characters without an entry use their first skin
+  const [skinByChar, setSkinByChar] = useState({});
+  const skinFor = (char) => (char && skinByChar[char.id]) || (char ? char.skins[0] : null);
+  const [selectedId, setSelectedId] = useControllableState(selectedIdProp, defaultSelectedId, (id) => {
+    if (onSelect) onSelect(id, findChar(id), { skin: skinFor(findChar(id)) });
+  });
+  const [previewId, setPreviewId] = useControllableState(previewProp, defaultPreview, (id) => {
+    if (onPreviewChange) onPreviewChange(id, findChar(id));
+  });
+  const rules = { ...DEFAULT_TEAM_RULES, ...teamRules };
+  const [rawTeam, setTeam] = useControllableState(teamProp, defaultTeam || normalizeTeam([], rules.size), (next) => {
+    if (onTeamChange) onTeamChange(next, next.map((entry) => entry && findChar(entry.id)));
+  });
+  const team = normalizeTeam(rawTeam, rules.size);
+  // fall back to the first character while nothing (or an unknown id) is previewed
+  const previewChar = findChar(previewId) || characters[0] || null;
+  const teamSlots = team.map((entry) => entry && findChar(entry.id));
+  const [poseIndex, setPoseIndex] = useState(0);
+
+  // initial filter/sort state comes from the query string when URL sync is on
+  const initialParams = useMemo(
+    () => (syncFiltersToUrl && typeof window !== "undefined" ? readFilterParams(window.location.search) : null),
+    []
+  );
+  const [filters, setFilters] = useState(initialParams ? initialParams.filters : EMPTY_FILTERS);
+  const sorts = useMemo(() => {
+    const merged = { ...BUILTIN_SORTS };
+    STAT_KEYS.forEach((k) => {
+      merged[k] = { compare: byNumber((c) => c.stats[k]), dir: "desc" };
+    });
+    return { ...merged, ...sortDefinitions };
+  }, [sortDefinitions]);
+  // `dir: null` means the sort's default direction; unknown keys from a link fall back to the default sort
+  const [sort, setSort] = useState(() => {
+    const fromUrl = initialParams && sorts[initialParams.sort.by];
+    return {
+      by: fromUrl ? initialParams.sort.by : "popularity",
+      dir: fromUrl ? initialParams.sort.dir : null,
+      then: initialParams && sorts[initialParams.sort.then] ? initialParams.sort.then : null,
+    };
+  });
+  // "sort.<key>" messages, else the definition's own (possibly per-locale) label
+  const sortLabel = (key, def) =>
+    i18n.label("sort", key, def.label ? i18n.text(def.label) : i18n.label("stat", key));
+  const [compareIds, setCompareIds] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [teamNotice, setTeamNotice] = useState(null);
+  const [presetName, setPresetName] = useState("");
+  const [shareCode, setShareCode] = useState("");
+  const [importText, setImportText] = useState("");
+  const [announcement, setAnnouncement] = useState("");
+  // character waiting for a team slot after a long-press
+  const [slotPickerId, setSlotPickerId] = useState(null);
+  const carouselRef = useRef(null);
+
+
+  useEffect(() => {
+    setPoseIndex(0);
+  }, [previewChar && previewChar.id]);
+
+  useImperativeHandle(ref, () => ({
+    select(id) {
+      if (id != null && (!findChar(id) || !findChar(id).unlocked)) return false;
+      setSelectedId(id);
+      if (id != null) setPreviewId(id);
+      return true;
+    },
+    confirm(id) {
+      if (!findChar(id)) return false;
+      return confirmSelect(id);
+    },
+    clear: clearSelection,
+    focusCharacter(id) {
+      if (!findChar(id)) return false;
+      setPreviewId(id);
+      scrollToCharacter(id);
+      focusCard(id);
+      return true;
+    },
+    setSkin(id, skin) {
+      const char = findChar(id);
+      if (!char || !char.skins.includes(skin)) return false;
+      setSkinByChar((prev) => ({ ...prev, [id]: skin }));
+      return true;
+    },
+    setTeam(next) {
+      setTeam((prev) => normalizeTeam(typeof next === "function" ? next(prev) : next, rules.size));
+    },
+  }));
+
+  // report each distinct set of issues once, however often the roster is revalidated
+  const reportedIssues = useRef("");
+  useEffect(() => {
+    const key = rosterIssues.map((i) => `${i.severity}:${i.message}`).join("\n");
+    if (key === reportedIssues.current) return;
+    reportedIssues.current = key;
+    if (onRosterIssues && rosterIssues.length) onRosterIssues(rosterIssues);
+  }, [rosterIssues]);
+
+  // Screen-reader announcements; a trailing nbsp makes repeated messages re-announce
+  function announce(message) {
+    setAnnouncement((prev) => (prev === message ? `${message}\u00a0` : message));
+  }
+
+  const bindings = keyBindings === false ? {} : { ...DEFAULT_KEY_BINDINGS, ...keyBindings };
+  const actionFor = (key) => Object.keys(bindings).find((action) => (bindings[action] || []).includes(key));
+
+  // Shortcuts only fire inside the component and never while typing in a form field
+  function handleKeyDown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target.closest && target.closest("input, select, textarea, [contenteditable]")) return;
+    const action = actionFor(e.key);
+    if (!action) return;
+    if ((compareOpen || unlockDialog) && action !== "clear") return;
+
+    // left/right follow the reading direction
+    const forward = rtl && (e.key === "ArrowLeft" || e.key === "ArrowRight") ? -1 : 1;
+    switch (action) {
+      case "next":
+        navigateCarousel(forward);
+        break;
+      case "prev":
+        navigateCarousel(-forward);
+        break;
+      case "down":
+        navigateCarousel(gridColumns());
+        break;
+      case "up":
+        navigateCarousel(-gridColumns());
+        break;
+      case "first":
+        navigateTo(0);
+        break;
+      case "last":
+        navigateTo(visibleChars.length - 1);
+        break;
+      case "confirm":
+        // let focused buttons and links handle Enter themselves
+        if (target.closest && target.closest("button, a, summary")) return;
+        if (!previewChar) return;
+        confirmSelect(previewChar.id);
+        break;
+      case "clear":
+        if (compareOpen) setCompareOpen(false);
+        else if (unlockDialog) closeUnlockDialog();
+        else clearSelection();
+        break;
+      case "pinCompare":
+        if (!previewChar) return;
+        toggleCompare(previewChar.id);
+        break;
+      case "openCompare":
+        openCompare();
+        break;
+      case "assignSlot":
+        if (!previewChar) return;
+        assignToSlot(bindings.assignSlot.indexOf(e.key), previewChar.id);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  // cards per row, for up/down movement (the carousel is a single row)
+  function gridColumns() {
+    return gridLayout ? columns : 1;
+  }
+
+  function navigateTo(index) {
+    const next = visibleChars[index];
+    if (!next) return;
+    setPreviewChar(next);
+    scrollToCharacter(next.id);
+    focusCard(next.id);
+  }
+
+  // Focus a card, waiting for it to mount when it is outside the rendered window
+  const pendingFocus = useRef(null);
+  function focusCard(id) {
+    const el = document.getElementById(`card-${id}`);
+    if (el) {
+      pendingFocus.current = null;
+      el.focus({ preventScroll: true });
+    } else {
+      pendingFocus.current = id;
+    }
+  }
+  useEffect(() => {
+    if (pendingFocus.current) focusCard(pendingFocus.current);
+  });
+
+  function navigateCarousel(dir = 1) {
+    if (!visibleChars.length) return;
+    const idx = previewChar ? visibleChars.findIndex((c) => c.id === previewChar.id) : -1;
+    if (idx === -1) {
+      navigateTo(0);
+      return;
+    }
+    if (Math.abs(dir) > 1) {
+      // vertical moves stop at the edges instead of wrapping
+      const target = idx + dir;
+      if (target >= 0 && target < visibleChars.length) navigateTo(target);
+      return;
+    }
+    navigateTo((idx + dir + visibleChars.length) % visibleChars.length);
+  }
+
+  function scrollToCharacter(id) {
+    const container = carouselRef.current;
+    if (!container) return;
+    const el = document.getElementById(`card-${id}`);
+    if (el) {
+      el.scrollIntoView({ behavior: "smooth", inline: "center", block: "nearest" });
+      return;
+    }
+    // not mounted: scroll its slot into the middle of the viewport so it renders
+    const idx = visibleChars.findIndex((c) => c.id === id);
+    if (idx === -1) return;
+    const line = Math.floor(idx / gridColumns());
+    const offset = Math.max(0, line * cardWindow.lineSize - (cardWindow.viewportSize - cardWindow.lineSize) / 2);
+    if (gridLayout) container.scrollTo({ top: offset, behavior: "smooth" });
+    else container.scrollTo({ left: rtl ? -offset : offset, behavior: "smooth" });
+  }
+
+
+  function toggleFacet(key, value) {
+    setFilters((f) => ({
+      ...f,
+      [key]: f[key].includes(value) ? f[key].filter((v) => v !== value) : [...f[key], value],
+    }));
+  }
+
+  const hasActiveFilters = filters.query !== "" || filters.status !== "all" || FACETS.some(({ key }) => filters[key].length);
+
+  useEffect(() => {
+    if (!syncFiltersToUrl) return;
+    const { pathname, search, hash } = window.location;
+    const next = writeFilterParams(search, filters, sort, "popularity");
+    if (next !== search) window.history.replaceState(window.history.state, "", `${pathname}${next}${hash}`);
+  }, [filters, sort, syncFiltersToUrl]);
+
+
+  const sortDir = sortDirection(sorts, sort.by, sort.dir);
+
+  const visibleChars = useMemo(
+    () => sortCharacters(characters.filter((c) => matchesFilters(c, filters)), sorts, sort, i18n.compare),
+    [characters, filters, sorts, sort, i18n]
+  );
+  const facetLists = useMemo(
+    () => Object.fromEntries(FACETS.map(({ key }) => [key, facetOptions(characters, filters, key, i18n)])),
+    [characters, filters, i18n]
+  );
+
+  // the card that takes part in tab order (roving tabindex)
+  const activeIndex = Math.max(0, previewChar ? visibleChars.findIndex((c) => c.id === previewChar.id) : 0);
+  const activeCardId = visibleChars[activeIndex] ? visibleChars[activeIndex].id : null;
+
+  // windowed card rendering: horizontal carousel below md, scrolling grid above
+  const gridLayout = useMediaQuery("(min-width: 768px)");
+  const wideGrid = useMediaQuery("(min-width: 1024px)");
+  const columns = gridLayout ? (wideGrid ? 3 : 2) : 1;
+  const cardWindow = useWindowedRange(carouselRef, {
+    count: visibleChars.length,
+    columns,
+    horizontal: !gridLayout,
+    estimate: gridLayout ? CARD_ESTIMATE.height : CARD_ESTIMATE.width,
+  });
+  const renderedChars = visibleChars.slice(cardWindow.start, cardWindow.end);
+  // ARIA rows follow the layout: `columns` cards per row in the grid, a single row in the carousel
+  const rowCount = gridLayout ? Math.ceil(visibleChars.length / columns) : 1;
+  const cardRows = [];
+  if (gridLayout) {
+    for (let i = 0; i < renderedChars.length; i += columns) {
+      cardRows.push({ index: (cardWindow.start + i) / columns, start: cardWindow.start + i, chars: renderedChars.slice(i, i + columns) });
+    }
+  } else if (renderedChars.length) {
+    cardRows.push({ index: 0, start: cardWindow.start, chars: renderedChars });
+  }
+  const activeMounted = activeIndex >= cardWindow.start && activeIndex < cardWindow.end;
+
+  // Swipe carousel: once scrolling settles on a card (scroll-snap), preview it
+  useEffect(() => {
+    const el = carouselRef.current;
+    if (!el || gridLayout) return;
+    let timer = 0;
+    function settle() {
+      const box = el.getBoundingClientRect();
+      const center = box.left + box.width / 2;
+      let nearest = null;
+      let best = Infinity;
+      el.querySelectorAll("[role=gridcell]").forEach((card) => {
+        const r = card.getBoundingClientRect();
+        const d = Math.abs(r.left + r.width / 2 - center);
+        if (d < best) {
+          best = d;
+          nearest = card;
+        }
+      });
+      const char = nearest && findChar(nearest.id.replace(/^card-/, ""));
+      if (char) latest.current.focus(char);
+    }
+    function onScroll() {
+      clearTimeout(timer);
+      timer = setTimeout(settle, 120);
+    }
+    el.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      el.removeEventListener("scroll", onScroll);
+      clearTimeout(timer);
+    };
+  }, [gridLayout, charById]);
+
+  const filtersChanged = useRef(false);
+  useEffect(() => {
+    if (!filtersChanged.current) {
+      filtersChanged.current = true;
+      return;
+    }
+    announce(t("announce.shown", { count: visibleChars.length }));
+  }, [filters, sort]);
+
+  // per-stat maximum across the roster, used to normalize charts
+  const maxStats = useMemo(
+    () => Object.fromEntries(STAT_KEYS.map((k) => [k, Math.max(1, ...characters.map((c) => c.stats[k]))])),
+    [characters]
+  );
+
+  function setPreviewChar(char) {
+    setPreviewId(char ? char.id : null);
+  }
+
+  // Hover previews wait briefly so sweeping the pointer across cards doesn't re-render for each one
+  const hoverTimer = useRef(null);
+  function briefOnHover(char) {
+    clearTimeout(hoverTimer.current);
+    if (previewChar && previewChar.id === char.id) return;
+    hoverTimer.current = setTimeout(() => {
+      setPreviewChar(char);
+      playSound("hover");
+    }, HOVER_INTENT_MS);
+  }
+  function cancelHover() {
+    clearTimeout(hoverTimer.current);
+  }
+  useEffect(() => cancelHover, []);
+
+  // Stable callbacks for memoized cards; they always call the latest handlers
+  const latest = useRef(null);
+  latest.current = {
+    hover: briefOnHover,
+    hoverEnd: cancelHover,
+    preview: (char) => {
+      cancelHover();
+      setPreviewChar(char);
+      playSound("select");
+    },
+    focus: (char) => {
+      if (!previewChar || previewChar.id !== char.id) setPreviewChar(char);
+    },
+    confirm: (id) => confirmSelect(id),
+    togglePin: (id) => toggleCompare(id),
+    dragStart: (e, id) => onDragStart(e, id),
+    longPress: (id) => openSlotPicker(id),
+  };
+  const cardActions = useMemo(
+    () => ({
+      hover: (char) => latest.current.hover(char),
+      hoverEnd: () => latest.current.hoverEnd(),
+      preview: (char) => latest.current.preview(char),
+      focus: (char) => latest.current.focus(char),
+      confirm: (id) => latest.current.confirm(id),
+      togglePin: (id) => latest.current.togglePin(id),
+      dragStart: (e, id) => latest.current.dragStart(e, id),
+      longPress: (id) => latest.current.longPress(id),
+    }),
+    []
+  );
+
+  function toggleSelect(id) {
+    if (selectedId === id) {
+      setSelectedId(null);
+    } else {
+      setSelectedId(id);
+    }
+  }
+
+  function confirmSelect(id) {
+    const char = findChar(id);
+    if (char && !char.unlocked) {
+      denyLocked(char);
+      return false;
+    }
+    if (draftTurn) return chooseForDraft(char);
+    // after the draft, banned and picked characters stay out of play
+    if (char && draftUnavailable.has(char.id)) {
+      const reason = t("draft.unavailable", { name: char.name, reason: draftUnavailable.get(char.id) });
+      playSound("reject");
+      setSelectNotice(reason);
+      announce(reason);
+      return false;
+    }
+    setSelectedId(id);
+    playSound("confirm");
+    if (char) announce(t("select.selected", { name: char.name }));
+    if (onConfirm) {
+      const pose = char && previewChar && previewChar.id === char.id ? char.poses[poseIndex] : char && char.poses[0];
+      onConfirm(char, { skin: skinFor(char), pose });
+    }
+    // selection confirmation animation handled by Framer Motion in the card
+    return true;
+  }
+
+  // Why the last confirm was refused (locked character, draft turn), shown in the preview
+  const [selectNotice, setSelectNotice] = useState(null);
+
+  // Locked characters: confirming one is refused and, when the host can unlock, offers the dialog
+  const [unlockDialog, setUnlockDialog] = useState(null);
+  const unlockChar = unlockDialog ? findChar(unlockDialog.id) : null;
+
+  useEffect(() => {
+    if (!selectNotice) return;
+    const t = setTimeout(() => setSelectNotice(null), 2500);
+    return () => clearTimeout(t);
+  }, [selectNotice]);
+
+  function denyLocked(char) {
+    playSound("locked-denied");
+    const requirements = describeUnlock(char.unlock, i18n);
+    const notice = requirements.length
+      ? t("select.lockedRequires", { name: char.name, requirements: requirements.join(", ") })
+      : t("select.locked", { name: char.name });
+    setSelectNotice(notice);
+    announce(notice);
+    if (onUnlockRequest) openUnlockDialog(char.id);
+  }
+
+  function openUnlockDialog(id) {
+    setPreviewId(id);
+    setUnlockDialog({ id, status: "confirm", message: null });
+  }
+
+  function closeUnlockDialog() {
+    setUnlockDialog((d) => (d && d.status === "pending" ? d : null));
+  }
+
+  function requestUnlock() {
+    const char = unlockChar;
+    if (!char || !onUnlockRequest) return;
+    setUnlockDialog({ id: char.id, status: "pending", message: null });
+    Promise.resolve()
+      .then(() => onUnlockRequest(char, char.unlock))
+      .then((approved) => {
+        if (!approved) {
+          setUnlockDialog({ id: char.id, status: "confirm", message: t("unlock.declined") });
+          return;
+        }
+        setUnlockedIds((prev) => new Set(prev).add(char.id));
+        if (onUnlock) onUnlock(char.id, { ...char, unlocked: true });
+        setUnlockDialog(null);
+        setSelectNotice(null);
+        playSound("confirm");
+        announce(t("unlock.done", { name: char.name }));
+      })
+      .catch((err) => {
+        setUnlockDialog({ id: char.id, status: "confirm", message: (err && err.message) || t("unlock.failed") });
+      });
+  }
+
+  function clearSelection() {
+    if (selectedId != null) announce(t("select.cleared"));
+    setSelectedId(null);
+  }
+
+  // Loadouts: a draft per character (copied into a team slot on assignment), or a team
+  // slot's own loadout while that slot is being edited from the team panel
+  const [loadoutByChar, setLoadoutByChar] = useState({});
+  const [loadoutTarget, setLoadoutTarget] = useState(null);
+  const [highlightSlot, setHighlightSlot] = useState(null);
+  const loadoutFor = (char) => (char && loadoutByChar[char.id]) || {};
+  const editingSlot =
+    loadoutTarget != null && team[loadoutTarget] && previewChar && team[loadoutTarget].id === previewChar.id ? loadoutTarget : null;
+  const previewLoadout = editingSlot != null ? team[editingSlot].loadout : loadoutFor(previewChar);
+  const previewSlots = previewChar ? equipmentSlotsFor(previewChar, equipment) : [];
+  const previewEquipped = previewChar ? equipCharacter(previewChar, previewLoadout, equipment) : null;
+
+  // team members use their slot's loadout, everyone else their draft
+  function loadoutInUse(char) {
+    const entry = team.find((e) => e && e.id === char.id);
+    return entry ? entry.loadout : loadoutFor(char);
+  }
+
+  function equipItem(slot, itemId) {
+    const update = (loadout) => {
+      const next = { ...loadout };
+      if (itemId) next[slot] = itemId;
+      else delete next[slot];
+      return next;
+    };
+    if (editingSlot != null) {
+      setTeam((prev) => {
+        const copy = normalizeTeam(prev, rules.size);
+        copy[editingSlot] = { ...copy[editingSlot], loadout: update(copy[editingSlot].loadout) };
+        return copy;
+      });
+    } else {
+      setLoadoutByChar((prev) => ({ ...prev, [previewChar.id]: update(prev[previewChar.id]) }));
+    }
+    setHighlightSlot(slot);
+  }
+
+  function editSlotLoadout(idx) {
+    setLoadoutTarget(idx);
+    setPreviewId(team[idx].id);
+  }
+
+  // Compare: pin up to `maxCompare` characters, open once two are pinned
+  const compareChars = compareIds
+    .map(findChar)
+    .filter(Boolean)
+    .map((c) => equipCharacter(c, loadoutInUse(c), equipment));
+
+  function toggleCompare(id) {
+    const char = findChar(id);
+    if (char) announce(t(compareIds.includes(id) ? "announce.unpinned" : "announce.pinned", { name: char.name }));
+    setCompareIds((prev) => {
+      if (prev.includes(id)) return prev.filter((x) => x !== id);
+      if (prev.length >= maxCompare) return [...prev.slice(1), id];
+      return [...prev, id];
+    });
+  }
+
+  function openCompare() {
+    if (compareChars.length >= 2) setCompareOpen(true);
+  }
+
+  function makeCompareBaseline(id) {
+    setCompareIds((prev) => [id, ...prev.filter((x) => x !== id)]);
+  }
+
+  useEffect(() => {
+    if (compareOpen && compareChars.length < 2) setCompareOpen(false);
+  }, [compareOpen, compareChars.length]);
+
+  // Team building: every placement goes through the team rules
+  const teamSummary = computeTeamSummary(
+    teamSlots.map((c, i) => c && equipCharacter(c, team[i].loadout, equipment)).filter(Boolean),
+    synergies,
+    rules,
+    i18n
+  );
+
+  useEffect(() => {
+    if (!teamNotice) return;
+    const t = setTimeout(() => setTeamNotice(null), 2500);
+    return () => clearTimeout(t);
+  }, [teamNotice]);
+
+  function assignToSlot(idx, charId) {
+    const char = findChar(charId);
+    if (!char || idx < 0 || idx >= rules.size) return false;
+    const draftReason =
+      draftTurn || draftOwnsTeam
+        ? t("team.draftOnly")
+        : draftUnavailable.has(char.id)
+          ? t("draft.unavailable", { name: char.name, reason: draftUnavailable.get(char.id) })
+          : null;
+    const reason = draftReason || checkTeamPlacement(team, idx, char, rules, findChar, i18n);
+    if (reason) {
+      setTeamNotice(reason);
+      playSound(!draftReason && char.unlocked === false && !rules.allowLocked ? "locked-denied" : "reject");
+      if (onTeamReject) onTeamReject(reason, char, idx);
+      return false;
+    }
+    setTeam((prev) => {
+      const copy = normalizeTeam(prev, rules.size);
+      copy[idx] = { id: char.id, skin: skinFor(char), loadout: { ...loadoutFor(char) } };
+      return copy;
+    });
+    playSound("team-drop");
+    announce(t("announce.added", { name: char.name, slot: idx + 1 }));
+    return true;
+  }
+
+  // With a local side the draft's picks are the team, so manual edits are refused
+  function refuseDraftTeamEdit() {
+    if (!draftOwnsTeam) return false;
+    setTeamNotice(t("team.draftOnly"));
+    playSound("reject");
+    return true;
+  }
+
+  function removeFromSlot(idx) {
+    if (refuseDraftTeamEdit()) return;
+    announce(t("announce.slotCleared", { slot: idx + 1 }));
+    setTeam((prev) => {
+      const copy = normalizeTeam(prev, rules.size);
+      copy[idx] = null;
+      return copy;
+    });
+  }
+
+  function swapSlots(from, to) {
+    if (from === to || to < 0 || to >= rules.size || refuseDraftTeamEdit()) return;
+    announce(t("announce.swapped", { from: from + 1, to: to + 1 }));
+    setTeam((prev) => {
+      const copy = normalizeTeam(prev, rules.size);
+      [copy[from], copy[to]] = [copy[to], copy[from]];
+      return copy;
+    });
+  }
+
+  // Draft mode: moves go through the transport; the grid and team follow its state
+  const draftTransport = draft ? draft.transport : null;
+  const localSide = (draft && draft.localSide) || null;
+  const { state: draftState, remaining: draftRemaining, connection: draftConnection } = useDraft(draftTransport, autoChooseForDraft);
+  const draftTurn = draftState && draftState.status === "running" ? draftState.turns[draftState.turn] : null;
+  const draftOwnsTeam = !!draftState && !!localSide;
+  const sideName = (id) => draftSideName(draftState, id, i18n);
+  const draftUnavailable = useMemo(() => {
+    const reasons = new Map();
+    if (!draftState) return reasons;
+    draftState.bans.forEach((b) => reasons.set(b.id, t("draft.banned")));
+    Object.entries(draftState.picks).forEach(([side, ids]) => ids.forEach((id) => reasons.set(id, t("draft.pickedBy", { side: sideName(side) }))));
+    return reasons;
+  }, [draftState, i18n]);
+
+  function sendDraftChoice(char, auto) {
+    const sent = draftTransport.send({
+      type: "choose",
+      turn: draftState.turn,
+      side: draftTurn.side,
+      id: char ? char.id : null,
+      auto,
+      at: Date.now(),
+    });
+    return sent !== false;
+  }
+
+  // Moves are announced once they show up in the transport's state, so a move the server
+  // rejects stays silent; a draft joined midway does not replay its history.
+  const seenMoves = useRef(null);
+  useEffect(() => {
+    if (!draftState) {
+      seenMoves.current = null;
+      return;
+    }
+    const seen = seenMoves.current;
+    seenMoves.current = draftState.log.length;
+    if (seen == null || draftState.log.length <= seen) return;
+    const moves = draftState.log.slice(seen);
+    moves.forEach((move) => {
+      const side = sideName(move.side);
+      const char = move.id != null ? findChar(move.id) : null;
+      if (move.id == null) announce(t("draft.skipped", { side }));
+      else announce(t(move.action === "ban" ? "draft.bannedName" : "draft.pickedName", { side, name: char ? char.name : move.id }));
+    });
+    const last = moves[moves.length - 1];
+    if (last.id != null && !last.auto && (!localSide || last.side === localSide)) playSound(last.action === "pick" ? "confirm" : "select");
+  }, [draftState]);
+
+  function chooseForDraft(char) {
+    const reason =
+      localSide && draftTurn.side !== localSide
+        ? t("draft.waitingFor", { side: sideName(draftTurn.side) })
+        : draftUnavailable.has(char.id)
+          ? t("draft.unavailable", { name: char.name, reason: draftUnavailable.get(char.id) })
+          : null;
+    if (reason) {
+      playSound("reject");
+      setSelectNotice(reason);
+      announce(reason);
+      return false;
+    }
+    if (sendDraftChoice(char, false)) return true;
+    if (draftConnection === "closed") {
+      playSound("reject");
+      setSelectNotice(t("draft.disconnected"));
+      announce(t("draft.disconnected"));
+    }
+    return false;
+  }
+
+  // out of time: pick the most popular character still available, or skip a ban
+  function autoChooseForDraft(state) {
+    const turn = state.turns[state.turn];
+    if (!draftTransport || (localSide && turn.side !== localSide)) return;
+    const taken = draftTaken(state);
+    const fallback =
+      turn.action === "pick"
+        ? characters.filter((c) => c.unlocked && !taken.has(c.id)).sort((a, b) => b.popularity - a.popularity)[0] || null
+        : null;
+    sendDraftChoice(fallback, true);
+  }
+
+  // the local side's picks become this selector's team
+  const localPicks = draftState && localSide ? (draftState.picks[localSide] || []).join(",") : null;
+  useEffect(() => {
+    if (localPicks == null) return;
+    const ids = localPicks ? localPicks.split(",") : [];
+    if (ids.every((id, i) => team[i] && team[i].id === id) && team.slice(ids.length).every((e) => !e)) return;
+    setTeam((prev) => {
+      const current = normalizeTeam(prev, rules.size);
+      return normalizeTeam(ids.map((id) => current.find((e) => e && e.id === id) || { id, skin: skinFor(findChar(id)) }), rules.size);
+    });
+  }, [localPicks]);
+
+  // Presets and share codes
+  const defaultStorage = useMemo(() => createLocalStorageAdapter(), []);
+  const { presets, savePreset, deletePreset, error: presetError } = usePresets(presetStorage || defaultStorage);
+
+  function applyImportedTeam(entries) {
+    if (refuseDraftTeamEdit()) return false;
+    const { team: next, dropped } = resolveImportedTeam(entries, rules, findChar, equipment, i18n);
+    setTeam(next);
+    setTeamNotice(dropped.length ? t("team.imported", { changes: dropped.join("; ") }) : null);
+    return true;
+  }
+
+  function importTeam(input) {
+    try {
+      const { name, team: entries } = decodeTeamCode(input);
+      if (!applyImportedTeam(entries)) return false;
+      if (name) setPresetName(name);
+      setImportText("");
+      return true;
+    } catch (err) {
+      setTeamNotice(t("team.invalidCode"));
+      return false;
+    }
+  }
+
+  function shareTeam(entries, name) {
+    const code = encodeTeamCode(entries, name);
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#team=${code}`;
+    setShareCode(url);
+    if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => {});
+  }
+
+  // import a shared team from the URL fragment once the roster is available
+  const urlImportDone = useRef(false);
+  useEffect(() => {
+    if (!importTeamFromUrl || urlImportDone.current || rosterStatus !== "ready") return;
+    urlImportDone.current = true;
+    if (/[#&]team=/.test(window.location.hash)) importTeam(window.location.hash);
+  }, [rosterStatus]);
+
+  // Drag-and-drop handlers for team slots
+  function onDragStart(e, charId) {
+    e.dataTransfer.setData("text/char", charId);
+  }
+  function onSlotDragStart(e, idx) {
+    e.dataTransfer.setData("text/slot", String(idx));
+  }
+  function onDropToSlot(e, idx) {
+    e.preventDefault();
+    const fromSlot = e.dataTransfer.getData("text/slot");
+    if (fromSlot !== "") {
+      swapSlots(Number(fromSlot), idx);
+      return;
+    }
+    assignToSlot(idx, e.dataTransfer.getData("text/char"));
+  }
+  function onDragOver(e) {
+    e.preventDefault();
+  }
+
+  // Touch replacement for drag-and-drop: long-press a card, then pick the slot
+  function openSlotPicker(id) {
+    const char = findChar(id);
+    if (!char) return;
+    if (navigator.vibrate) navigator.vibrate(15);
+    setTeamNotice(null);
+    setSlotPickerId(id);
+    announce(t("announce.chooseSlot", { name: char.name }));
+  }
+  function pickSlot(idx) {
+    if (assignToSlot(idx, slotPickerId)) setSlotPickerId(null);
+  }
+  const slotPickerChar = slotPickerId ? findChar(slotPickerId) : null;
+
+  // Team slots: Enter assigns the previewed character, Delete clears, Alt+←/→ moves the slot
+  // (towards the start/end of the row, so mirrored in right-to-left layouts)
+  function onSlotKeyDown(e, idx) {
+    if (e.target !== e.currentTarget) return;
+    const step = rtl ? -1 : 1;
+    if ((e.key === "Enter" || e.key === " ") && previewChar) assignToSlot(idx, previewChar.id);
+    else if (e.key === "Delete" || e.key === "Backspace") removeFromSlot(idx);
+    else if (e.altKey && e.key === "ArrowLeft") swapSlots(idx, idx - step);
+    else if (e.altKey && e.key === "ArrowRight") swapSlots(idx, idx + step);
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // Sound effects through the shared engine
+  const audio = audioEngine || getSharedAudioEngine();
+  const audioPrefs = useAudioPrefs(audio);
+  const soundMap = useMemo(() => ({ ...DEFAULT_SOUNDS, ...sounds }), [sounds]);
+  function playSound(event) {
+    audio.play(event, soundMap);
+  }
+
+  // Theme tokens as CSS variables on the root element
+  const prefersLight = useMediaQuery("(prefers-color-scheme: light)");
+  const themeStyle = useMemo(() => {
+    const vars = themeVars(resolveTheme(theme, prefersLight));
+    return { ...vars, background: "var(--cs-background)" };
+  }, [theme, prefersLight]);
+
+  // Art for the previewed skin/pose; the skin's other poses are prefetched
+  const previewSkin = skinFor(previewChar);
+  const previewPose = previewChar ? previewChar.poses[poseIndex] || previewChar.poses[0] : null;
+  // memoised so renderers that depend on `asset` (the canvas draw) only rerun when the art changes
+  const previewAsset = useMemo(
+    () => (previewChar ? resolveCharacterAsset(previewChar, previewSkin, previewPose, resolveAsset) : null),
+    [previewChar, previewSkin, previewPose, resolveAsset]
+  );
+  const previewContext = { character: previewChar, skin: previewSkin, pose: previewPose, asset: previewAsset, resolveAsset, i18n };
+  useEffect(() => {
+    if (!previewChar) return;
+    previewChar.poses.forEach((pose) => {
+      const asset = resolveCharacterAsset(previewChar, previewSkin, pose, resolveAsset);
+      if (asset) loadImage(asset.src).catch(() => {});
+    });
+  }, [previewChar, previewSkin]);
+
+  // helper to cycle pose
+  function nextPose() {
+    const c = previewChar;
+    if (!c) return;
+    setPoseIndex((p) => (p + 1) % c.poses.length);
+  }
+  function prevPose() {
+    const c = previewChar;
+    if (!c) return;
+    setPoseIndex((p) => (p - 1 + c.poses.length) % c.poses.length);
+  }
+
+  return (
+    <MotionConfig reducedMotion={reducedMotion}>
+      <div
+        className="min-h-screen text-[color:var(--cs-text)] p-4 md:p-8"
+        style={themeStyle}
+        lang={locale}
+        dir={rtl ? "rtl" : "ltr"}
+        onKeyDown={handleKeyDown}
+      >
+        <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+        {draftState && (
+          <DraftPanel
+            state={draftState}
+            remaining={draftRemaining}
+            connection={draftConnection}
+            localSide={localSide}
+            findChar={findChar}
+            i18n={i18n}
+            onStart={() => draftTransport.send({ type: "start", at: Date.now() })}
+            onReset={() => draftTransport.send({ type: "reset" })}
+          />
+        )}
+        {draftTransport && !draftState && draftConnection === "closed" && (
+          <div className="max-w-7xl mx-auto mb-6 text-sm text-[color:var(--cs-danger)]" role="alert">{t("draft.disconnected")}</div>
+        )}
+        <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Left: Filters + Grid / Carousel */}
+          <aside className="col-span-1 lg:col-span-1 space-y-4">
+            <div className="bg-[var(--cs-surface)] rounded-2xl p-4 backdrop-blur-sm">
+              <div className="flex items-center justify-between">
+                <h3 className="text-xl font-semibold">{t("filters.title")}</h3>
+                {hasActiveFilters && (
+                  <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-xs text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]">
+                    {t("filters.clear")}
+                  </button>
+                )}
+              </div>
+              <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => setFilters((f) => ({ ...f, query: e.target.value }))}
+                placeholder={t("filters.searchPlaceholder")}
+                aria-label={t("filters.search")}
+                className="mt-3 w-full bg-[var(--cs-surface)] p-2 rounded"
+              />
+              <div className="mt-3 space-y-3">
+                {FACETS.map(({ key }) => (
+                  <FacetGroup
+                    key={key}
+                    label={t(`facet.${key}`)}
+                    options={facetLists[key]}
+                    selected={filters[key]}
+                    onToggle={(value) => toggleFacet(key, value)}
+                  />
+                ))}
+              </div>
+              <div className="mt-3 grid grid-cols-2 gap-2">
+                <select
+                  className="bg-[var(--cs-surface)] p-2 rounded col-span-2"
+                  value={filters.status}
+                  onChange={(e) => setFilters((f) => ({ ...f, status: e.target.value }))}
+                >
+                  <option value="all">{t("status.all")}</option>
+                  <option value="unlocked">{t("status.unlocked")}</option>
+                  <option value="locked">{t("status.locked")}</option>
+                </select>
+                <div className="col-span-2 flex gap-2">
+                  <select
+                    className="bg-[var(--cs-surface)] p-2 rounded flex-1 min-w-0"
+                    value={sort.by}
+                    onChange={(e) => setSort((s) => ({ ...s, by: e.target.value, dir: null }))}
+                    aria-label={t("sort.by")}
+                  >
+                    {Object.entries(sorts).map(([key, def]) => (
+                      <option key={key} value={key}>{t("sort.option", { label: sortLabel(key, def) })}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setSort((s) => ({ ...s, dir: sortDir === "asc" ? "desc" : "asc" }))}
+                    className="px-3 rounded bg-[var(--cs-surface)] hover:bg-[var(--cs-surface-strong)]"
+                    aria-label={t(sortDir === "asc" ? "sort.toggleAsc" : "sort.toggleDesc")}
+                    title={t(sortDir === "asc" ? "sort.asc" : "sort.desc")}
+                  >
+                    {sortDir === "asc" ? "↑" : "↓"}
+                  </button>
+                </div>
+                <select
+                  className="bg-[var(--cs-surface)] p-2 rounded col-span-2"
+                  value={sort.then || ""}
+                  onChange={(e) => setSort((s) => ({ ...s, then: e.target.value || null }))}
+                  aria-label={t("sort.then")}
+                >
+                  <option value="">{t("sort.thenNone")}</option>
+                  {Object.entries(sorts)
+                    .filter(([key]) => key !== sort.by)
+                    .map(([key, def]) => (
+                      <option key={key} value={key}>{t("sort.thenOption", { label: sortLabel(key, def) })}</option>
+                    ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="bg-[var(--cs-surface)] rounded-2xl p-3 backdrop-blur-sm">
+              <h3 className="text-lg font-semibold mb-2">{t("team.title")}</h3>
+              <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${rules.size}, minmax(0, 1fr))` }}>
+                {teamSlots.map((slot, i) => (
+                  <div
+                    key={i}
+                    onDrop={(e) => onDropToSlot(e, i)}
+                    onDragOver={onDragOver}
+                    draggable={!!slot}
+                    onDragStart={(e) => slot && onSlotDragStart(e, i)}
+                    tabIndex={0}
+                    role="group"
+                    aria-label={t("team.slot", { slot: i + 1, name: slot ? slot.name : t("team.slotEmpty") })}
+                    aria-keyshortcuts="Enter Delete Alt+ArrowLeft Alt+ArrowRight"
+                    onKeyDown={(e) => onSlotKeyDown(e, i)}
+                    className="relative aspect-[3/4] rounded-lg bg-[var(--cs-surface)] flex items-center justify-center focus:outline-none focus-visible:ring-2 focus-visible:ring-[color:var(--cs-accent)]"
+                  >
+                    {slot ? (
+                      <div className="text-sm text-start px-2">
+                        <div className="font-semibold">{slot.name}</div>
+                        <div className="text-xs text-[color:var(--cs-muted)]">
+                          {i18n.label("class", slot.class)} · {i18n.label("rarity", slot.rarity)}
+                        </div>
+                        {team[i].skin && team[i].skin !== slot.skins[0] && (
+                          <div className="text-xs text-[color:var(--cs-accent-soft)]">{i18n.label("skin", team[i].skin)}</div>
+                        )}
+                        <button
+                          onClick={() => editSlotLoadout(i)}
+                          aria-pressed={editingSlot === i}
+                          className={`mt-1 text-xs ${editingSlot === i ? "text-[color:var(--cs-accent-soft)]" : "text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]"}`}
+                          aria-label={t("team.editLoadout", { slot: i + 1 })}
+                        >
+                          ⚙ {t("team.items", { count: Object.keys(team[i].loadout).length })}
+                        </button>
+                        <button
+                          onClick={() => removeFromSlot(i)}
+                          className="absolute top-1 end-1 text-xs text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]"
+                          aria-label={t("team.remove", { name: slot.name, slot: i + 1 })}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="text-xs text-center text-[color:var(--cs-subtle)] whitespace-pre-line">{t("team.drop")}</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {teamNotice && !slotPickerChar && (
+                <div className="mt-2 text-xs text-[color:var(--cs-danger)]" role="alert">{teamNotice}</div>
+              )}
+
+              {teamSlots.some(Boolean) && (
+                <div className="mt-3 text-xs space-y-2">
+                  <div className="flex justify-between">
+                    <span className="text-[color:var(--cs-muted)]">{t("team.totalPower")}</span>
+                    <span className="font-semibold tabular-nums">{teamSummary.power}</span>
+                  </div>
+                  <div className="grid grid-cols-5 gap-1 text-center">
+                    {STAT_KEYS.map((k) => (
+                      <div key={k} className="bg-[var(--cs-surface)] rounded p-1">
+                        <div className="text-[color:var(--cs-subtle)]">{t(`stat.${k}`)}</div>
+                        <div className="tabular-nums">{teamSummary.stats[k]}</div>
+                        {teamSummary.stats[k] !== teamSummary.baseStats[k] && (
+                          <div className="text-[color:var(--cs-positive)]">+{teamSummary.stats[k] - teamSummary.baseStats[k]}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {teamSummary.synergies.map((syn) => (
+                    <div key={syn.id} className="text-[color:var(--cs-accent-soft)]">
+                      {t("team.synergy", { name: i18n.text(syn.name), bonus: describeModifiers({ percent: syn.bonus }, i18n) })}
+                    </div>
+                  ))}
+                  {teamSummary.unmetRoles.map((msg) => (
+                    <div key={msg} className="text-[color:var(--cs-warning)]">{msg}</div>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-3 space-y-2 text-xs">
+                <form
+                  className="flex gap-1"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    if (presetName.trim()) savePreset(presetName.trim(), team);
+                  }}
+                >
+                  <input
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder={t("team.presetName")}
+                    className="flex-1 min-w-0 bg-[var(--cs-surface)] rounded px-2 py-1"
+                  />
+                  <button type="submit" disabled={!presetName.trim()} className="px-2 py-1 rounded bg-[var(--cs-surface-strong)] disabled:opacity-40">
+                    {t("team.save")}
+                  </button>
+                  <button type="button" onClick={() => shareTeam(team, presetName.trim())} className="px-2 py-1 rounded bg-[var(--cs-surface-strong)]">
+                    {t("team.share")}
+                  </button>
+                </form>
+                {presets.length > 0 && (
+                  <ul className="space-y-1">
+                    {presets.map((preset) => (
+                      <li key={preset.name} className="flex items-center gap-1 bg-[var(--cs-surface)] rounded px-2 py-1">
+                        <span className="flex-1 truncate">{preset.name}</span>
+                        <button onClick={() => { if (applyImportedTeam(preset.team)) setPresetName(preset.name); }} className="text-[color:var(--cs-accent-soft)] hover:text-[color:var(--cs-text)]">
+                          {t("team.load")}
+                        </button>
+                        <button onClick={() => shareTeam(preset.team, preset.name)} className="text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]">
+                          {t("team.share")}
+                        </button>
+                        <button onClick={() => deletePreset(preset.name)} className="text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]" aria-label={t("team.deletePreset", { name: preset.name })}>×</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {shareCode && (
+                  <input readOnly value={shareCode} onFocus={(e) => e.target.select()} className="w-full bg-[var(--cs-surface-strong)] rounded px-2 py-1 text-[color:var(--cs-muted)]" aria-label={t("team.shareLink")} />
+                )}
+                <form
+                  className="flex gap-1"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    importTeam(importText);
+                  }}
+                >
+                  <input
+                    value={importText}
+                    onChange={(e) => setImportText(e.target.value)}
+                    placeholder={t("team.importPlaceholder")}
+                    className="flex-1 min-w-0 bg-[var(--cs-surface)] rounded px-2 py-1"
+                  />
+                  <button type="submit" disabled={!importText.trim()} className="px-2 py-1 rounded bg-[var(--cs-surface-strong)] disabled:opacity-40">
+                    {t("team.import")}
+                  </button>
+                </form>
+                {presetError && <div className="text-[color:var(--cs-warning)]">{t("team.presetsUnavailable", { message: presetError.message })}</div>}
+              </div>
+
+              <div className="mt-3 text-sm text-[color:var(--cs-muted)]">{t("team.tip", { size: rules.size })}</div>
+            </div>
+
+            <div className="bg-[var(--cs-surface)] rounded-2xl p-3 backdrop-blur-sm">
+              <h3 className="text-lg font-semibold">{t("compare.quickTitle")}</h3>
+              <p className="text-sm text-[color:var(--cs-muted)]">{t("compare.quickHint")}</p>
+              <div className="mt-2 flex gap-2">
+                {visibleChars.slice(0, 4).map((c) => (
+                  <button
+                    key={c.id}
+                    onClick={() => toggleCompare(c.id)}
+                    aria-pressed={compareIds.includes(c.id)}
+                    className={`p-2 rounded w-full text-xs ${compareIds.includes(c.id) ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : "bg-[var(--cs-surface)]"}`}
+                  >
+                    {c.name}
+                  </button>
+                ))}
+              </div>
+              {compareChars.length > 0 && (
+                <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+                  {compareChars.map((c) => (
+                    <span key={c.id} className="bg-[var(--cs-surface-strong)] rounded px-2 py-0.5">
+                      {c.name}
+                      <button onClick={() => toggleCompare(c.id)} className="ms-1 text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]" aria-label={t("compare.unpinName", { name: c.name })}>×</button>
+                    </span>
+                  ))}
+                  <button onClick={() => setCompareIds([])} className="text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)] px-1">{t("compare.clear")}</button>
+                </div>
+              )}
+              <button
+                onClick={openCompare}
+                disabled={compareChars.length < 2}
+                className="mt-2 w-full p-2 rounded bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)] disabled:opacity-40 text-sm font-semibold"
+              >
+                {t("compare.open", { count: compareChars.length })}
+              </button>
+            </div>
+          </aside>
+
+          {/* Middle: Carousel / Grid */}
+          <main className="col-span-1 lg:col-span-1">
+            <div className="bg-[var(--cs-surface)] rounded-2xl p-3 backdrop-blur-sm">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-bold">{t("grid.title")}</h2>
+                <div className="flex items-center gap-2 text-sm text-[color:var(--cs-muted)]">
+                  <span>{t("grid.found", { count: visibleChars.length })}</span>
+                  <button
+                    onClick={() => audio.setMuted(!audioPrefs.muted)}
+                    aria-pressed={audioPrefs.muted}
+                    aria-label={t(audioPrefs.muted ? "sound.unmute" : "sound.mute")}
+                    title={t(audioPrefs.muted ? "sound.unmute" : "sound.mute")}
+                    className="w-8 h-8 rounded bg-[var(--cs-surface)] hover:bg-[var(--cs-surface-strong)]"
+                  >
+                    {audioPrefs.muted ? "🔇" : "🔊"}
+                  </button>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={audioPrefs.volume}
+                    onChange={(e) => audio.setVolume(Number(e.target.value))}
+                    disabled={audioPrefs.muted}
+                    aria-label={t("sound.volume")}
+                    className="w-20 disabled:opacity-40"
+                  />
+                </div>
+              </div>
+
+              {rosterStatus === "loading" && (
+                <div className="py-10 text-center text-sm text-[color:var(--cs-muted)]" role="status">{t("roster.loading")}</div>
+              )}
+              {rosterStatus === "error" && (
+                <div className="py-6 text-center text-sm" role="alert">
+                  <div className="text-[color:var(--cs-danger)]">{t("roster.error")}</div>
+                  <div className="text-xs text-[color:var(--cs-subtle)] mt-1">{rosterError && rosterError.message}</div>
+                  <button onClick={reload} className="mt-3 px-3 py-1 rounded bg-[var(--cs-surface-strong)]">{t("roster.retry")}</button>
+                </div>
+              )}
+              {rosterIssues.length > 0 && (
+                <details className="mb-2 text-xs text-[color:var(--cs-warning)] bg-[var(--cs-surface-strong)] rounded p-2">
+                  <summary>
+                    {t("roster.issues", {
+                      skipped: new Set(rosterIssues.filter((i) => i.severity === "error").map((i) => i.index)).size,
+                      warnings: rosterIssues.filter((i) => i.severity === "warning").length,
+                    })}
+                  </summary>
+                  <ul className="mt-1 space-y-1">
+                    {rosterIssues.map((issue, i) => (
+                      <li key={i}>{issue.message}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              {/* Horizontal carousel for mobile / grid for desktop */}
+              <div
+                ref={carouselRef}
+                role="grid"
+                aria-label={t("grid.title")}
+                aria-rowcount={rowCount}
+                aria-colcount={gridLayout ? columns : visibleChars.length}
+                tabIndex={activeMounted ? -1 : 0}
+                onFocus={(e) => {
+                  // the roving card may be scrolled out of the window; bring it back
+                  if (e.target === e.currentTarget && activeCardId) navigateTo(activeIndex);
+                }}
+                className="overflow-x-auto snap-x snap-mandatory md:snap-none md:overflow-x-hidden md:overflow-y-auto md:max-h-[70vh] py-2 carousel flex gap-3 md:grid md:grid-cols-2 lg:grid-cols-3"
+              >
+                {cardWindow.before > 0 && (
+                  <div
+                    aria-hidden="true"
+                    className="shrink-0"
+                    style={gridLayout ? { gridColumn: "1 / -1", height: cardWindow.before - CARD_GAP } : { width: cardWindow.before - CARD_GAP }}
+                  />
+                )}
+                {cardRows.map((row) => (
+                  <div key={row.index} role="row" aria-rowindex={row.index + 1} className="contents">
+                    {row.chars.map((char, i) => (
+                      <CharacterCard
+                        key={char.id}
+                        char={char}
+                        colIndex={gridLayout ? i + 1 : row.start + i + 1}
+                        selected={selectedId === char.id}
+                        active={char.id === activeCardId}
+                        pinned={compareIds.includes(char.id)}
+                        unavailable={draftUnavailable.get(char.id) || null}
+                        confirmLabel={t(draftTurn ? (draftTurn.action === "ban" ? "card.ban" : "card.pick") : "card.select")}
+                        i18n={i18n}
+                        actions={cardActions}
+                      />
+                    ))}
+                  </div>
+                ))}
+                {cardWindow.after > 0 && (
+                  <div
+                    aria-hidden="true"
+                    className="shrink-0"
+                    style={gridLayout ? { gridColumn: "1 / -1", height: cardWindow.after - CARD_GAP } : { width: cardWindow.after - CARD_GAP }}
+                  />
+                )}
+              </div>
+
+            </div>
+          </main>
+
+          {/* Right: Preview & Details */}
+          <aside className="col-span-1 lg:col-span-1">
+            <div className="bg-[var(--cs-surface)] rounded-2xl p-4 backdrop-blur-sm h-full flex flex-col">
+              <div className="flex items-start gap-4">
+                <div className="w-2/3">
+                  <div className="relative bg-gradient-to-br from-[var(--cs-surface-strong)] to-[var(--cs-surface)] rounded-lg overflow-hidden">
+                    <div className="absolute inset-0 pointer-events-none opacity-30" style={{ background: `linear-gradient(180deg, rgba(255,255,255,0.02), transparent 30%)` }} />
+                    <div className="p-4">
+                      <PreviewStage renderers={renderers} context={previewContext}>
+                        {/* equipment highlight: the slot's region on the art plus a badge per slot */}
+                        <AnimatePresence>
+                          {highlightSlot && EQUIPMENT_SLOTS[highlightSlot] && (
+                            <motion.div
+                              key={highlightSlot}
+                              aria-hidden="true"
+                              className="absolute rounded-lg border-2 border-[color:var(--cs-accent)] bg-[var(--cs-surface-strong)] pointer-events-none"
+                              style={Object.fromEntries(
+                                Object.entries(EQUIPMENT_SLOTS[highlightSlot].region).map(([k, v]) => [k, `${v}%`])
+                              )}
+                              initial={{ opacity: 0, scale: 0.9 }}
+                              animate={{ opacity: 1, scale: 1 }}
+                              exit={{ opacity: 0 }}
+                            />
+                          )}
+                        </AnimatePresence>
+                        <div className="absolute bottom-4 inset-x-4 flex flex-wrap gap-2 pointer-events-none">
+                          {previewSlots.map((slot) => (
+                            <div
+                              key={slot}
+                              className={`text-xs px-2 py-1 rounded ${highlightSlot === slot ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : previewLoadout[slot] ? "bg-black/60 text-white" : "bg-black/40 text-gray-300"}`}
+                            >
+                              {i18n.label("slot", slot)}
+                            </div>
+                          ))}
+                        </div>
+                      </PreviewStage>
+
+                      <div className="mt-3 flex items-center gap-2">
+                        <button onClick={prevPose} className="px-2 py-1 bg-[var(--cs-surface)] rounded">◀</button>
+                        <div className="text-sm text-[color:var(--cs-muted)] flex-1 text-center">
+                          {previewChar ? t("preview.pose", { index: poseIndex + 1, count: previewChar.poses.length }) : "—"}
+                        </div>
+                        <button onClick={nextPose} className="px-2 py-1 bg-[var(--cs-surface)] rounded">▶</button>
+                      </div>
+
+                      {previewChar && previewChar.skins.length > 1 && (
+                        <div className="mt-2 flex flex-wrap gap-1" role="group" aria-label={t("preview.skins")}>
+                          {previewChar.skins.map((skin) => (
+                            <button
+                              key={skin}
+                              onClick={() => setSkinByChar((prev) => ({ ...prev, [previewChar.id]: skin }))}
+                              aria-pressed={previewSkin === skin}
+                              className={`text-xs px-2 py-1 rounded ${previewSkin === skin ? "bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)]" : "bg-[var(--cs-surface)] hover:bg-[var(--cs-surface-strong)]"}`}
+                            >
+                              {i18n.label("skin", skin)}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {previewChar && previewSlots.length > 0 && (
+                        <div className="mt-3 space-y-1" role="group" aria-label={t("loadout.title")} onMouseLeave={() => setHighlightSlot(null)}>
+                          <div className="flex items-center justify-between text-xs text-[color:var(--cs-subtle)]">
+                            <span>{editingSlot != null ? t("loadout.teamSlot", { slot: editingSlot + 1 }) : t("loadout.title")}</span>
+                            {editingSlot != null && (
+                              <button onClick={() => setLoadoutTarget(null)} className="hover:text-[color:var(--cs-text)]">{t("loadout.done")}</button>
+                            )}
+                          </div>
+                          {previewSlots.map((slot) => (
+                            <label key={slot} className="flex items-center gap-2 text-xs" onMouseEnter={() => setHighlightSlot(slot)}>
+                              <span className="w-14 text-[color:var(--cs-muted)]">{i18n.label("slot", slot)}</span>
+                              <select
+                                value={previewLoadout[slot] || ""}
+                                onChange={(e) => equipItem(slot, e.target.value || null)}
+                                onFocus={() => setHighlightSlot(slot)}
+                                onBlur={() => setHighlightSlot(null)}
+                                className="flex-1 min-w-0 bg-[var(--cs-surface)] p-1 rounded"
+                              >
+                                <option value="">{t("loadout.none")}</option>
+                                {itemsForSlot(previewChar, slot, equipment).map((item) => (
+                                  <option key={item.id} value={item.id}>
+                                    {i18n.text(item.name)}
+                                    {describeModifiers(item, i18n) ? ` (${describeModifiers(item, i18n)})` : ""}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {previewChar && (
+                  <div className="w-1/3 space-y-2 text-sm">
+                    {!previewChar.unlocked && (
+                      <div className="rounded bg-[var(--cs-surface)] p-2 space-y-1">
+                        <div className="font-semibold"><span aria-hidden="true">🔒</span> {t("card.locked")}</div>
+                        {describeUnlock(previewChar.unlock, i18n).map((r) => (
+                          <div key={r} className="text-xs text-[color:var(--cs-muted)]">{r}</div>
+                        ))}
+                        {onUnlockRequest && (
+                          <button
+                            onClick={() => openUnlockDialog(previewChar.id)}
+                            className="mt-1 w-full px-2 py-1 rounded bg-[var(--cs-accent)] text-[color:var(--cs-on-accent)] hover:brightness-110 text-xs font-semibold"
+                          >
+                            {t("unlock.action")}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {selectNotice && (
+                      <div className="text-xs text-[color:var(--cs-danger)]" role="alert">{selectNotice}</div>
+                    )}
+                    <div>
+                      <div className="text-xs text-[color:var(--cs-subtle)]">{t("field.class")}</div>
+                      <div className="font-semibold">{i18n.label("class", previewChar.class)}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-[color:var(--cs-subtle)]">{t("field.element")}</div>
+                      <div style={previewChar.element ? { color: elementColor(previewChar.element) } : undefined}>
+                        {previewChar.element ? i18n.label("element", previewChar.element) : "—"}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-[color:var(--cs-subtle)]">{t("field.faction")}</div>
+                      <div>{previewChar.faction ? i18n.label("faction", previewChar.faction) : "—"}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-[color:var(--cs-subtle)]">{t("field.power")}</div>
+                      <div className="font-semibold tabular-nums"><AnimatedNumber value={previewEquipped.power} /></div>
+                      {previewEquipped.power !== previewChar.power && (
+                        <div className="text-xs text-[color:var(--cs-subtle)]">
+                          {t("field.base", { value: previewChar.power })} <Delta value={previewEquipped.power - previewChar.power} />
+                        </div>
+                      )}
+                    </div>
+                    <div>
+                      <div className="text-xs text-[color:var(--cs-subtle)]">{t("field.popularity")}</div>
+                      <div className="tabular-nums"><AnimatedNumber value={previewChar.popularity} /></div>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Stats & abilities */}
+              {previewChar && (
+                <div className="mt-4 space-y-4">
+                  <div>
+                    <h4 className="text-sm font-semibold mb-1">{t("preview.stats")}</h4>
+                    <div className="grid grid-cols-2 gap-3 items-center">
+                      <StatRadar stats={previewEquipped.stats} maxStats={maxStats} i18n={i18n} color={previewChar.colors[0]} />
+                      <StatBars
+                        stats={previewEquipped.stats}
+                        baseStats={previewEquipped.equipped ? previewChar.stats : undefined}
+                        maxStats={maxStats}
+                        i18n={i18n}
+                        color={previewChar.colors[1]}
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-semibold mb-1">{t("preview.abilities")}</h4>
+                    <div className="space-y-2">
+                      <AnimatePresence initial={false}>
+                        {previewChar.abilities.map((ability) => (
+                          <AbilityCard
+                            key={`${previewChar.id}-${ability.key}-${ability.name}`}
+                            ability={ability}
+                            color={previewChar.colors[0]}
+                            i18n={i18n}
+                          />
+                        ))}
+                      </AnimatePresence>
+                      {previewChar.abilities.length === 0 && <div className="text-xs text-[color:var(--cs-subtle)]">{t("preview.noAbilities")}</div>}
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </aside>
+        </div>
+
+        <AnimatePresence>
+          {compareOpen && (
+            <CompareView
+              chars={compareChars}
+              maxStats={maxStats}
+              i18n={i18n}
+              onClose={() => setCompareOpen(false)}
+              onUnpin={toggleCompare}
+              onMakeBaseline={makeCompareBaseline}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {unlockChar && (
+            <UnlockDialog
+              char={unlockChar}
+              status={unlockDialog.status}
+              message={unlockDialog.message}
+              i18n={i18n}
+              onConfirm={requestUnlock}
+              onCancel={closeUnlockDialog}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {slotPickerChar && (
+            <motion.div
+              key="slot-picker"
+              role="dialog"
+              aria-label={t("slotPicker.dialog", { name: slotPickerChar.name })}
+              initial={{ y: "100%" }}
+              animate={{ y: 0 }}
+              exit={{ y: "100%" }}
+              transition={{ type: "spring", stiffness: 300, damping: 30 }}
+              className="fixed inset-x-0 bottom-0 z-50 bg-[var(--cs-raised)] backdrop-blur p-4 rounded-t-2xl shadow-2xl"
+            >
+              <div className="flex items-center justify-between">
+                <div className="font-semibold">{t("slotPicker.title", { name: slotPickerChar.name })}</div>
+                <button onClick={() => setSlotPickerId(null)} className="text-sm text-[color:var(--cs-subtle)] hover:text-[color:var(--cs-text)]">
+                  {t("slotPicker.cancel")}
+                </button>
+              </div>
+              {/* one column per slot, wrapping after four */}
+              <div className="mt-3 grid gap-2" style={{ gridTemplateColumns: `repeat(${Math.min(rules.size, 4)}, minmax(0, 1fr))` }}>
+                {teamSlots.map((slot, i) => (
+                  <button
+                    key={i}
+                    onClick={() => pickSlot(i)}
+                    className="p-3 rounded-lg bg-[var(--cs-surface)] hover:bg-[var(--cs-surface-strong)] text-start text-sm"
+                  >
+                    <div className="text-xs text-[color:var(--cs-subtle)]">{t("slotPicker.slot", { slot: i + 1 })}</div>
+                    <div className="truncate">{slot ? slot.name : t("slotPicker.empty")}</div>
+                  </button>
+                ))}
+              </div>
+              {teamNotice && (
+                <div className="mt-2 text-xs text-[color:var(--cs-danger)]" role="alert">{teamNotice}</div>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </MotionConfig>
+  );
+});
 
-                    <div className="mt-3 flex items-center gap-2">
-                      <button onClick={prevPose} className="px-2 py-1 bg-white/3
\ No newline at end of file
+export default CharacterSelector;